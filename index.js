@@ -1,8 +1,5 @@
 
-// TODO Edge labels?
-// TODO Possible minimap mode
 // TODO More context menu options
-// TODO Experimental multi-tree view
 // TODO Mobile taps on iOS
 
 
@@ -57,13 +54,25 @@ loadFile(`${extensionFolderPath}tippy.umd.min.js`, 'js', function () {
 loadFile(`${extensionFolderPath}cytoscape-context-menus.min.js`, 'js');
 
 import { extension_settings, getContext } from '../../../extensions.js';
-import { event_types, eventSource, saveSettingsDebounced } from '../../../../script.js';
+import { event_types, eventSource, saveSettingsDebounced, selectCharacterById, openCharacterChat } from '../../../../script.js';
+import { openGroupById, openGroupChat } from '../../../group-chats.js';
+import { createNewBookmark } from '../../../bookmarks.js';
 
 import { navigateToMessage, closeModal, handleModalDisplay, closeOpenDrawers } from './tl_utils.js';
-import { setupStylesAndData, highlightElements, restoreElements } from './tl_style.js';
-import { fetchData, prepareData } from './tl_node_data.js';
-import { toggleGraphOrientation, highlightNodesByQuery, getNodeDepth, setGraphOrientationBasedOnViewport } from './tl_graph.js';
+import { setupStylesAndData, highlightElements, restoreElements, getBookmarkColorOptions } from './tl_style.js';
+import { fetchData, prepareData, updateChatSession, getSessionMetadata, buildOwnerTimeline } from './tl_node_data.js';
+import { toggleGraphOrientation, highlightNodesByQuery, setGraphOrientationBasedOnViewport, setGraphOrientation, syncElements, getGraphOrientation } from './tl_graph.js';
+import { buildLayoutOptions, cytoscapeTidyTree, isLayoutOriented } from './tl_layouts.js';
+import { createGraphModel, getDepth, getAncestorPath } from './tl_model.js';
+import { buildSessionElements, getSessionNodeId } from './tl_sessions.js';
+import { getMessageNodeId, normalizeMessageText } from './tl_build.js';
+import { parseSearchQuery, getSearchHighlightRanges } from './tl_search.js';
+import { searchAllChats } from './tl_global_search.js';
+import { attachMinimap, drawMinimap } from './tl_minimap.js';
+import { buildMultiTreeElements } from './tl_multi_tree.js';
+import { compressChains } from './tl_segments.js';
 import { registerSlashCommand } from '../../../slash-commands.js';
+import { debounce, download } from '../../../utils.js';
 import { fixMarkdown } from '../../../power-user.js';
 
 let defaultSettings = {
@@ -75,17 +84,28 @@ let defaultSettings = {
     spacingFactor: 1,
     tooltipFixed : false,
     align: 'UL',
+    layoutAlgorithm: 'dagre',
+    graphOrientation: 'auto', // 'auto' picks LR or TB by the shape of the window
     nodeShape: 'ellipse',
     curveStyle: 'taxi',
     swipeScale: false,
     avatarAsRoot: true,
     showLegend: true,
     bookmarkColor: '#ff0000',
+    bookmarkPalette: 'default',
+    bookmarkMinContrast: 2,
     useChatColors: false,
     charNodeColor: '#FFFFFF',
     userNodeColor: '#ADD8E6',
     edgeColor: '#555',
     lockNodes: true,
+    docked: false,
+    showMinimap: false,
+    compactChains: false,
+    edgeLabelSwipes: false,
+    edgeLabelSessions: false,
+    edgeLabelTime: false,
+    edgeLabelMinZoom: 0.5,
 };
 
 // Variable to keep track of the currently highlighted elements
@@ -93,7 +113,40 @@ let currentlyHighlighted = null;
 let lastContext = null; // Initialize lastContext to null
 let layout = {};
 let lastTimelineData = null; // Store the last fetched and prepared timeline data
+let timelineModel = null; // Indexed graph model of lastTimelineData
 let activeTippies = new Set();
+let cyInstance = null; // The Cytoscape instance of the rendered timeline
+let pendingChatUpdate = false; // Whether the active chat changed since the timeline was last updated
+let loadController = null; // Aborts the chat downloads of the timeline being loaded
+let viewMode = 'messages'; // 'messages' for the message graph, 'sessions' for one node per chat file, 'multi' for several timelines
+let searchMatches = []; // IDs of the nodes matching the search query, in message order
+let searchMatchIndex = -1; // Index of the match the graph was last moved to, -1 if none
+let searchedQuery = ''; // The query `searchMatches` were found for
+let searchExpandedSwipes = new Set(); // IDs of the nodes whose swipes are shown only because one of them matches the search
+let unfoldedNodeIds = new Set(); // IDs of the messages of the segments expanded in the compact mode
+let searchUnfoldedNodeIds = new Set(); // IDs of the messages kept out of segments because they match the search
+const MAX_SEARCH_RESULTS = 200; // Matches beyond this are reachable with next/previous, but not listed
+let globalSearchMode = false; // Whether the search box searches the chats of all characters and groups
+let globalSearchController = null; // Aborts the running global search
+let pendingFocusNodeId = null; // Node to focus once the timeline being opened is rendered
+let multiTreeOwners = []; // The characters and groups shown in the multi-tree view, as `{ type, id, name }`
+let multiTreeElements = null; // The elements of the multi-tree view
+let multiTreeModel = null; // Indexed graph model of multiTreeElements
+let multiTreeController = null; // Aborts the chat downloads of the multi-tree view being loaded
+const MAX_MULTI_TREES = 8; // More timelines at once get too large to lay out
+let contextMenu = null; // The context menu instance of the rendered timeline
+let nodeNotes = {}; // Node ID -> note of the user, for the current timeline
+let noteEditorNodeId = null; // The node whose note is being edited
+let dockedUpdate = Promise.resolve(); // Serializes the updates of the docked timeline as the chat changes
+const followActiveChatDebounced = debounce(followActiveChat, 500);
+const updateSearchResultsDebounced = debounce(updateTypedSearchResults, 300);
+const SEARCH_SNIPPET_CONTEXT = 40; // Characters shown around the first highlighted match in a result
+const defaultViewState = {
+    selectedNodeId: null,
+    expandedSwipes: [], // IDs of the nodes whose swipes are shown
+    collapsedNodes: [], // IDs of the nodes whose subtrees are collapsed
+};
+let viewState = { ...defaultViewState };
 
 /**
  * Asynchronously loads settings from `extension_settings.timeline`,
@@ -125,6 +178,8 @@ async function loadSettings() {
     $('#tl_rank_separation').val(extension_settings.timeline.rankSeparation).trigger('input');
     $('#tl_spacing_factor').val(extension_settings.timeline.spacingFactor).trigger('input');
     $('#tl_align').val(extension_settings.timeline.align).trigger('input');
+    $('#tl_layout_algorithm').val(extension_settings.timeline.layoutAlgorithm).trigger('input');
+    $('#tl_graph_orientation').val(extension_settings.timeline.graphOrientation).trigger('input');
     $('#tl_tooltip_fixed').prop('checked', extension_settings.timeline.fixedTooltip).trigger('input');
     $('#tl_node_shape').val(extension_settings.timeline.nodeShape).trigger('input');
     $('#tl_curve_style').val(extension_settings.timeline.curveStyle).trigger('input');
@@ -133,6 +188,12 @@ async function loadSettings() {
     $('#tl_show_legend').prop('checked', extension_settings.timeline.showLegend).trigger('input');
     $('#tl_use_chat_colors').prop('checked', extension_settings.timeline.useChatColors).trigger('input');
     $('#tl_lock_nodes').prop('checked', extension_settings.timeline.lockNodes).trigger('input');
+    $('#tl_bookmark_palette').val(extension_settings.timeline.bookmarkPalette).trigger('input');
+    $('#tl_bookmark_min_contrast').val(extension_settings.timeline.bookmarkMinContrast).trigger('input');
+    $('#tl_edge_label_swipes').prop('checked', extension_settings.timeline.edgeLabelSwipes).trigger('input');
+    $('#tl_edge_label_sessions').prop('checked', extension_settings.timeline.edgeLabelSessions).trigger('input');
+    $('#tl_edge_label_time').prop('checked', extension_settings.timeline.edgeLabelTime).trigger('input');
+    $('#tl_edge_label_min_zoom').val(extension_settings.timeline.edgeLabelMinZoom).trigger('input');
     $('#bookmark-color-picker').attr('color', extension_settings.timeline.bookmarkColor);
     $('#edge-color-picker').attr('color', extension_settings.timeline.edgeColor);
     $('#user-node-color-picker').attr('color', extension_settings.timeline.userNodeColor);
@@ -230,6 +291,38 @@ function formatNodeMessage(mes) {
     return mes;
 }
 
+/**
+ * Describes a chat session from its header metadata, for the session list.
+ *
+ * @param {string} session - The chat file name of the session.
+ * @returns {Array<string>} One line per known metadata field, e.g. the creation date and the chat it was branched from.
+ */
+function describeSession(session) {
+    const metadata = getSessionMetadata(session);
+    if (!metadata) {
+        return [];
+    }
+    let lines = [];
+    if (metadata.create_date) {
+        lines.push(`Created: ${metadata.create_date}`);
+    }
+    if (metadata.main_chat) {
+        lines.push(`Branched from: ${metadata.main_chat}`);
+    }
+    if (metadata.user_name) {
+        lines.push(`Persona: ${metadata.user_name}`);
+    }
+    if (metadata.note_prompt) {
+        const note = metadata.note_prompt;
+        lines.push(`Author's Note: ${note.length > 100 ? note.substr(0, 97) + '...' : note}`);
+    }
+    const variableCount = Object.keys(metadata.variables || {}).length;
+    if (variableCount > 0) {
+        lines.push(`Variables: ${variableCount}`);
+    }
+    return lines;
+}
+
 /**
  * Creates a Tippy tooltip for a given Cytoscape element (node/edge) upon tapping.
  *
@@ -240,7 +333,8 @@ function formatNodeMessage(mes) {
  * - Node name and send date.
  * - Swipes count, if any.
  * - Message content formatted using the `formatNodeMessage` function.
- * - A list of chat sessions associated with the node, with buttons to navigate to a session or branch from it.
+ * - A list of chat sessions associated with the node, with buttons to navigate to a session or branch from it,
+ *   and the creation date and origin of each session.
  *
  * The tooltip's position, behavior, and style are also configured in this function.
  */
@@ -273,6 +367,12 @@ function makeTapTippy(ele) {
                 p.innerHTML = dataItem.content;
                 div.appendChild(p);
             });
+            if (ele.hasClass('has-note')) {
+                let note = document.createElement('div');
+                note.classList.add('timestamp', 'node_note');
+                note.textContent = `Note: ${nodeNotes[ele.id()]}`;
+                div.appendChild(note);
+            }
 
             // Insert an <hr> between name, date, and the message content
             div.appendChild(document.createElement('hr'));
@@ -299,9 +399,10 @@ function makeTapTippy(ele) {
                     let btn = document.createElement('button');
                     btn.classList.add('menu_button');
                     btn.textContent = session.split('.jsonl')[0];
+                    btn.title = describeSession(session).join('\n');
                     btn.dataset.sessionIndex = index; // Storing the session index as a data attribute
                     btn.addEventListener('click', function () {
-                        var depth = getNodeDepth(ele);
+                        var depth = getDepth(timelineModel, ele.id());
                         if (ele.data('isSwipe')) {
                             navigateToMessage(session, depth, ele.data('swipeId'));
                         } else {
@@ -322,7 +423,7 @@ function makeTapTippy(ele) {
                     // add title to branch button
                     branchBtn.title = `Branch from ${session}`;
                     branchBtn.addEventListener('click', function () {
-                        var depth = getNodeDepth(ele);
+                        var depth = getDepth(timelineModel, ele.id());
                         if(ele.data('isSwipe'))
                             navigateToMessage(session, depth, ele.data('swipeId'), false);
                         else
@@ -334,6 +435,15 @@ function makeTapTippy(ele) {
 
                     // Append the container to the menuDiv
                     menuDiv.appendChild(btnContainer);
+
+                    // 3. Show when and where the session was created, the rest is in the button title
+                    let sessionInfo = describeSession(session).filter(line => /^(Created|Branched from):/.test(line));
+                    if (sessionInfo.length > 0) {
+                        let infoDiv = document.createElement('div');
+                        infoDiv.classList.add('timestamp', 'session_info');
+                        infoDiv.textContent = sessionInfo.join(' · ');
+                        menuDiv.appendChild(infoDiv);
+                    }
                 });
             }
             div.appendChild(menuDiv);
@@ -400,7 +510,7 @@ function makeTapTippy(ele) {
  * @param {Object} node - The clicked node from the Cytoscape graph.
  */
 function nodeClickHandler(node) {
-    let depth = getNodeDepth(node);
+    let depth = getDepth(timelineModel, node.id());
     let chatSessions = node.data('chat_sessions');
 
     if (chatSessions && chatSessions.length > 1) {
@@ -459,31 +569,55 @@ function createLegend(cy) {
     // Clear existing legends
     legendContainer.innerHTML = '';
 
+    if (viewMode !== 'multi') {
+        createLegendItems(cy, legendContainer, cy.elements());
+        return;
+    }
+    // One section per tree, whose items only highlight that tree
+    multiTreeOwners.forEach((owner, treeIndex) => {
+        const scope = `[treeIndex = ${treeIndex}]`;
+        const heading = document.createElement('div');
+        heading.className = 'legend-section';
+        heading.textContent = owner.name;
+        legendContainer.appendChild(heading);
+        createLegendItems(cy, legendContainer, cy.elements(scope), scope);
+    });
+}
+
+/**
+ * Adds the legend items for the speakers and bookmark paths among the given elements.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {HTMLElement} container - The legend container.
+ * @param {Object} elements - The elements to describe.
+ * @param {string} [scope=''] - A selector appended to the selectors of the items, to limit their highlight.
+ */
+function createLegendItems(cy, container, elements, scope = '') {
     // Nodes Legend
     let nodeNames = new Set(); // Use a set to avoid duplicate names
 
-    cy.nodes().forEach(node => {
+    elements.nodes().forEach(node => {
         let name = node.data('name');
         let color = node.style('background-color'); // Fetching the node color
 
         // If the name is defined and is not yet in the set
         if (name && !nodeNames.has(name)) {
             nodeNames.add(name);
-            createLegendItem(cy, legendContainer, { color, text: name, class: name.replace(/\s+/g, '-').toLowerCase() }, 'circle');
+            createLegendItem(cy, container, { color, text: name, class: name.replace(/\s+/g, '-').toLowerCase(), scope }, 'circle');
         }
     });
 
     // Edges Legend
     let edgeColors = new Map(); // Use a map to avoid duplicate colors and store associated names
 
-    cy.edges().forEach(edge => {
+    elements.edges().forEach(edge => {
         let color = edge.data('color');
         let bookmarkName = edge.data('bookmarkName');
 
         // If the color is defined and is not yet in the map
         if (color && !edgeColors.has(color)) {
             edgeColors.set(color, bookmarkName); // Set the color as key and bookmarkName as its value
-            createLegendItem(cy, legendContainer, { color, text: bookmarkName || `Path of ${color}`, colorKey: color }, 'line');
+            createLegendItem(cy, container, { color, text: bookmarkName || `Path of ${color}`, colorKey: color, scope }, 'line');
         }
     });
 }
@@ -513,7 +647,7 @@ function createLegendItem(cy, container, item, type) {
     const legendSymbol = document.createElement('div');
     legendSymbol.className = 'legend-symbol';
 
-    const selector = type === 'circle' ? `node[name="${item.text}"]` : `edge[color="${item.colorKey}"]`;
+    const selector = (type === 'circle' ? `node[name="${item.text}"]` : `edge[color="${item.colorKey}"]`) + (item.scope || '');
 
     // Mouseover for a preview
     legendItem.addEventListener('mouseover', function () {
@@ -589,6 +723,7 @@ function initializeCytoscape(nodeData, styles) {
     }
 
     cytoscape.use(cytoscapeDagre);
+    cytoscape.use(cytoscapeTidyTree);
     cytoscape.use(cytoscapeContextMenus);
     cytoscape.use(cytoscapePopper);
 
@@ -644,295 +779,1989 @@ function toggleSwipes(cy) {
 
     if (swipeNodes.length > 0) {
         // If there are swipe nodes, remove them along with their edges
-        swipeNodes.connectedEdges().remove();
-        swipeNodes.remove();
+        cy.nodes('[storedSwipes]').forEach(node => collapseSwipes(cy, node));
     } else {
         // If there are no swipe nodes, add them from the storedSwipes data in parent nodes
-        cy.nodes().forEach(node => {
-            const storedSwipes = node.data('storedSwipes');
-            if (storedSwipes && storedSwipes.length > 0) {
-                storedSwipes.forEach(({ node: swipeNode, edge: swipeEdge }) => {
-                    cy.add({ group: 'nodes', data: swipeNode });
-                    cy.add({ group: 'edges', data: swipeEdge });
-                });
-            }
-        });
+        cy.nodes('[storedSwipes]').forEach(node => expandSwipes(cy, node));
     }
 }
 
-
 /**
- * Sets up event handlers for the given Cytoscape instance and node data.
+ * Adds the swipes stored in a node's data to the graph, as children of that node.
+ * The node is remembered in the view state, so its swipes are shown again after the timeline is rebuilt.
  *
- * This function does the following:
- * 1. Gathers all chat sessions from the node data.
- * 2. Initializes the context menu for the Cytoscape instance based on chat sessions,
- *    providing options to open specific chat sessions or rotate the graph.
- * 3. Attaches listeners to the 'input' event of the search field to enable node highlighting based on search query.
- * 4. Adds an event listener to handle node clicks, triggering actions like node navigation.
- * 5. Configures the graph's orientation based on the viewport dimensions.
- * 6. Implements a delay for displaying tooltips on node hover, showcasing truncated node messages.
- *
- * @param {Object} cy - The Cytoscape instance for which the event handlers are being set up.
- * @param {Array<Object>} nodeData - Array of node data objects containing information like chat sessions.
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {Object} node - The node whose swipes to show.
+ * @param {boolean} [remember=true] - Whether to remember the node in the view state.
  */
-function setupEventHandlers(cy, nodeData) {
-    let showTimeout;
-    let activeTapTippy = null;
-
-    var allChatSessions = [];
-    for (let i = 0; i < nodeData.length; i++) {
-        if (nodeData[i].group === 'nodes' && nodeData[i].data.chat_sessions) {
-            allChatSessions.push(...nodeData[i].data.chat_sessions);
+function expandSwipes(cy, node, remember = true) {
+    const storedSwipes = node.data('storedSwipes');
+    if (!storedSwipes || storedSwipes.length === 0) {
+        return;
+    }
+    // Swipes of a node in a collapsed subtree stay hidden with the rest of it
+    const classes = node.hasClass('collapsed-hidden') ? 'collapsed-hidden' : '';
+    storedSwipes.forEach(({ node: swipeNode, edge: swipeEdge }) => {
+        if (cy.getElementById(swipeNode.id).length === 0) {
+            // increase the edge weight
+            swipeEdge.weight = 100;
+            cy.add({ group: 'nodes', data: swipeNode, classes });
+            cy.add({ group: 'edges', data: swipeEdge, classes });
         }
+    });
+    // The view state is kept for the message graph of the current timeline only
+    if (remember && viewMode === 'messages' && !viewState.expandedSwipes.includes(node.id())) {
+        viewState.expandedSwipes.push(node.id());
+        saveViewState();
     }
-    allChatSessions = [...new Set(allChatSessions)];
+}
 
-    // Initialize context menu with all chat sessions using the new selector format
-    var menuItems = allChatSessions.map((session, index) => {
-        return {
-            id: 'chat-session-' + index,
-            content: 'Open chat session ' + session,
-            selector: `node[chat_sessions_str *= ";${session};"]`,
-            onClickFunction: function (event) {
-                var target = event.target || event.cyTarget;
-                var depth = getNodeDepth(target);
-                if (nodeData.isSwipe) {
-                    navigateToMessage(session, depth, nodeData.swipeId);
-                } else {
-                    navigateToMessage(session, depth);
-                }
-                closeModal();
-                activeTapTippy.hide();
-            },
-            hasTrailingDivider: true,
-        };
+/**
+ * Removes the swipes of a node, and their edges, from the graph.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {Object} node - The node whose swipes to hide.
+ */
+function collapseSwipes(cy, node) {
+    (node.data('storedSwipes') || []).forEach(({ node: swipeNode }) => {
+        cy.getElementById(swipeNode.id).remove();
     });
+    if (viewState.expandedSwipes.includes(node.id())) {
+        viewState.expandedSwipes = viewState.expandedSwipes.filter(id => id !== node.id());
+        saveViewState();
+    }
+}
 
-    document.getElementById('transparent-search').addEventListener('input', function (e) {
-        let mainSearch = document.getElementById('transparent-search');
-        mainSearch.value = e.target.value;
-
-        let query = e.target.value.toLowerCase();
-        highlightNodesByQuery(cy, query);
-    });
+/**
+ * Opens the message of a node in its chat, like double-clicking the node. Swipes are opened as the selected swipe.
+ *
+ * @param {Object} node - The node of the message graph.
+ * @returns {boolean} True if the node belongs to a chat and was opened, false e.g. for the root.
+ */
+function openNodeMessage(node) {
+    const sessions = node.data('chat_sessions');
+    if (!sessions || sessions.length === 0) {
+        return false;
+    }
+    let depth = getDepth(timelineModel, node.id());
+    //if the node is a swipe, we pass the swipe's session
+    if (node.data('isSwipe')) {
+        navigateToMessage(sessions[0], depth, node.data('swipeId'));
+    } else {
+        navigateToMessage(sessions[0], depth);
+    }
+    closeModal();
+    return true;
+}
 
-    menuItems.push({
-        id: 'no-chat-session',
-        content: 'No chat sessions available',
-        selector: 'node[!chat_sessions_str]',  // Adjusted selector to match nodes without the chat_sessions_str attribute
-        onClickFunction: function (event) {
-            console.log('No chat sessions available');
+/**
+ * Returns the items of the context menu. Each item shows up for the elements matching its selector;
+ * the items for the background use a selector that matches no element.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ * @returns {Array<Object>} The menu items for `cy.contextMenus`.
+ */
+function getContextMenuItems(cy) {
+    // Messages of the current timeline; the chats of the other trees of the multi-tree view can't be opened from here
+    const messageNode = 'node[chat_sessions][^treeIndex]';
+    // Messages in the timeline model, without the swipes shown next to them
+    const timelineMessage = `${messageNode}[^isSwipe]`;
+    const backgroundOnly = '.timeline-background-only';
+    return [
+        {
+            id: 'tl-menu-open',
+            content: 'Open in chat',
+            tooltipText: 'Go to the message in its chat; with several chats, pick one in the tooltip',
+            selector: messageNode,
+            onClickFunction: (event) => openNodeInChat(event.target, false),
         },
-        hasTrailingDivider: true,
-    });
-
-    let modal = document.getElementById('myModal');
-    let rotateBtn = modal.getElementsByClassName('rotate')[0];
-    rotateBtn.onclick = function () {
-        toggleGraphOrientation(cy, layout);
-        //refresh the layout
-        refreshLayout(false);
-        cy.fit();
-    };
+        {
+            id: 'tl-menu-branch',
+            content: 'Branch here',
+            tooltipText: 'Create a branch ending at this message; with several chats, pick one in the tooltip',
+            selector: messageNode,
+            onClickFunction: (event) => openNodeInChat(event.target, true),
+            hasTrailingDivider: true,
+        },
+        {
+            id: 'tl-menu-copy',
+            content: 'Copy message text',
+            selector: 'node[msg]',
+            onClickFunction: (event) => copyNodeMessage(event.target),
+        },
+        {
+            id: 'tl-menu-swipes',
+            content: 'Expand/collapse swipes',
+            selector: 'node[totalSwipes > 0]',
+            onClickFunction: (event) => {
+                toggleNodeSwipes(cy, event.target);
+                refreshLayout(cy, false, false);
+            },
+        },
+        {
+            id: 'tl-menu-subtree',
+            content: 'Focus subtree',
+            selector: 'node',
+            onClickFunction: (event) => focusSubtree(cy, event.target),
+        },
+        {
+            id: 'tl-menu-collapse',
+            content: 'Collapse/expand subtree',
+            selector: messageNode,
+            onClickFunction: (event) => {
+                if (toggleSubtree(cy, event.target)) {
+                    refreshLayout(cy, false, event.target);
+                }
+            },
+        },
+        {
+            id: 'tl-menu-checkpoint',
+            content: 'Create checkpoint here',
+            tooltipText: 'Save the chat up to this message as a new checkpoint',
+            selector: timelineMessage,
+            onClickFunction: (event) => createCheckpointAt(cy, event.target),
+        },
+        {
+            id: 'tl-menu-note',
+            content: 'Add/edit note',
+            selector: timelineMessage,
+            onClickFunction: (event) => openNoteEditor(event.target),
+        },
+        {
+            id: 'tl-menu-export',
+            content: 'Export branch to here',
+            tooltipText: 'Download the messages from the start up to this one as a chat file',
+            selector: timelineMessage,
+            onClickFunction: (event) => exportBranch(event.target),
+        },
+        {
+            id: 'tl-menu-edge-child',
+            content: 'Go to child message',
+            selector: 'edge',
+            onClickFunction: (event) => focusNode(cy, event.target.target()),
+        },
+        {
+            id: 'tl-menu-edge-subtree',
+            content: 'Focus subtree',
+            selector: 'edge',
+            onClickFunction: (event) => focusSubtree(cy, event.target.target()),
+        },
+        {
+            id: 'tl-menu-edge-path',
+            content: 'Highlight bookmark path',
+            selector: 'edge[color]',
+            onClickFunction: (event) => {
+                const treeIndex = event.target.data('treeIndex');
+                const scope = treeIndex === undefined ? '' : `[treeIndex = ${treeIndex}]`;
+                restoreElements(cy);
+                highlightElements(cy, `edge[color="${event.target.data('color')}"]${scope}`);
+            },
+        },
+        {
+            id: 'tl-menu-show-all',
+            content: 'Show all',
+            selector: backgroundOnly,
+            coreAsWell: true,
+            onClickFunction: () => {
+                restoreElements(cy);
+                currentlyHighlighted = null;
+                document.querySelectorAll('.active-legend').forEach(item => item.classList.remove('active-legend'));
+                cy.fit();
+            },
+        },
+        {
+            id: 'tl-menu-rotate',
+            content: 'Rotate graph',
+            selector: backgroundOnly,
+            coreAsWell: true,
+            disabled: !isLayoutOriented(extension_settings.timeline),
+            onClickFunction: () => rotateGraph(cy),
+        },
+        {
+            id: 'tl-menu-all-swipes',
+            content: 'Expand/collapse all swipes',
+            selector: backgroundOnly,
+            coreAsWell: true,
+            onClickFunction: () => toggleSwipes(cy),
+        },
+        {
+            id: 'tl-menu-sessions',
+            content: 'Toggle sessions view',
+            selector: backgroundOnly,
+            coreAsWell: true,
+            onClickFunction: () => setViewMode(cy, viewMode === 'sessions' ? 'messages' : 'sessions'),
+        },
+    ];
+}
 
-    let expandBtn = modal.getElementsByClassName('expand')[0];
-    expandBtn.onclick = function () {
-        toggleSwipes(cy);
-        refreshLayout(false);
-        cy.fit();
-    };
+/**
+ * Opens a message in its chat, or creates a branch ending at it. Messages in several chats get their
+ * tap tooltip instead, which lists the chats to pick from.
+ *
+ * @param {Object} node - The node of the message graph.
+ * @param {boolean} branch - Whether to create a branch instead of opening the message.
+ */
+function openNodeInChat(node, branch) {
+    const sessions = node.data('chat_sessions');
+    if (sessions.length !== 1) {
+        node.emit('tap');
+        return;
+    }
+    if (!branch || node.data('isSwipe')) {
+        // Opening a swipe creates a branch already
+        openNodeMessage(node);
+        return;
+    }
+    navigateToMessage(sessions[0], getDepth(timelineModel, node.id()), null, true);
+    closeModal();
+}
 
-    cy.ready(function () {
-        if (extension_settings.timeline.showLegend) {
-            createLegend(cy);
-            document.getElementById('legendDiv').style.display = 'block';
+/**
+ * Creates a checkpoint (a bookmark chat) at a message, the way the bookmark button of a message in the chat does.
+ * The message is looked up in the active chat if it is part of it, otherwise its first chat is opened first.
+ * The rendered timeline is then updated with the changed chat and the new checkpoint chat, so the new bookmark
+ * shows up with its path and legend entry right away.
+ *
+ * @async
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {Object} node - The node of the message.
+ * @returns {Promise<void>}
+ */
+async function createCheckpointAt(cy, node) {
+    const sessions = node.data('chat_sessions');
+    const activeSession = getActiveChatFileName();
+    const session = sessions.includes(activeSession) ? activeSession : sessions[0];
+    const modal = document.getElementById('myModal');
+    try {
+        if (session !== activeSession) {
+            const context = getContext();
+            if (context.groupId) {
+                await openGroupChat(context.groupId, session);
+            } else {
+                await openCharacterChat(session.replace('.jsonl', ''));
+            }
         }
-        else {
-            document.getElementById('legendDiv').style.display = 'none';
+        const mesId = findChatMessageIndex(node.id());
+        if (mesId === -1) {
+            toastr.warning('The message was not found in its chat');
+            return;
         }
-        closeOpenDrawers();
-    });
 
-    cy.on('tap', 'node', function (evt) {
-        clearTimeout(showTimeout); // Clear any pending timeout for showing tooltip
-        let node = evt.target;
-        if (node._tippy) {
-            node._tippy.hide(); // Hide the tippy instance associated with the node
+        const previousLink = getContext().chat[mesId].extra?.bookmark_link;
+        // SillyTavern asks for the name of the checkpoint in a popup, which must not end up behind the timeline
+        modal.classList.add('behind-popups');
+        let name;
+        try {
+            name = await createNewBookmark(mesId);
+        } finally {
+            modal.classList.remove('behind-popups');
         }
-        if (activeTapTippy) {
-            activeTapTippy.hide();
+        const context = getContext();
+        // Older versions of SillyTavern don't return the name, so read it back from the message. There, an
+        // unchanged link can't be told from a cancelled popup, and the existing checkpoint must not be overwritten.
+        if (name === undefined) {
+            const link = context.chat[mesId].extra?.bookmark_link;
+            name = link !== previousLink ? link : null;
+        }
+        // Keeping the name of an existing checkpoint replaces it, so only a missing name means cancelled
+        if (!name) {
+            return;
         }
-        let tipInstance = makeTapTippy(node);
 
-        // Show the tooltip
-        tipInstance.show();
+        // The checkpoint holds the chat up to the message, and refers back to the chat it was created from
+        const checkpoint = context.groupId ? name : `${name}.jsonl`;
+        await updateChatSession(checkpoint, context.chat.slice(0, mesId + 1), { main_chat: context.chatId });
+        if (cy === cyInstance && !cy.destroyed()) {
+            await applyActiveChatUpdate(cy);
+        }
+    } catch (error) {
+        console.error('Could not create the checkpoint:', error);
+        toastr.error('Could not create the checkpoint');
+    }
+}
 
-        activeTapTippy = tipInstance;
+/**
+ * Finds the index of a message in the active chat by its node ID, following the node IDs along the chat
+ * like `getActiveMessageNodeId`.
+ *
+ * @param {string} nodeId - The ID of the message node.
+ * @returns {number} The index of the message in the active chat, or -1 if it isn't part of it.
+ */
+function findChatMessageIndex(nodeId) {
+    const chat = getContext().chat;
+    let id = 'root';
+    for (let index = 0; index < chat.length; index++) {
+        const text = normalizeMessageText(chat[index]);
+        if (text === null) {
+            continue;
+        }
+        id = getMessageNodeId(id, text);
+        if (id === nodeId) {
+            return index;
+        }
+    }
+    return -1;
+}
 
+/**
+ * Copies the text of a message to the clipboard.
+ *
+ * @param {Object} node - The node of the message.
+ */
+function copyNodeMessage(node) {
+    navigator.clipboard.writeText(node.data('msg')).then(
+        () => toastr.success('Message copied'),
+        () => toastr.error('Could not copy the message'),
+    );
+}
 
-        // Optional: Hide the tooltip if user taps anywhere else
-        cy.on('tap', function (e) {
-            if (e.target === cy) {
-                tipInstance.hide();
-            }
-        });
+/**
+ * Highlights a node and everything below it, and zooms the graph to them.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {Object} node - The top node of the subtree.
+ */
+function focusSubtree(cy, node) {
+    const subtree = node.union(node.successors());
+    restoreElements(cy);
+    highlightElements(cy, subtree);
+    cy.stop(true);
+    cy.animate({
+        fit: { eles: subtree, padding: 50 },
+        duration: 300,
     });
+}
 
-    // Handle double click on nodes for quickly navigating to the message
-    cy.on('dbltap ', 'node', function (evt) {
-        let node = evt.target;
-        let session = node.data('chat_sessions')[0];
-        let depth = getNodeDepth(node);
-        //if the node is a swipe, we pass the swipe's session
-        if (node.data('isSwipe')) {
-            navigateToMessage(session, depth, node.data('swipeId'));
-        } else {
-            navigateToMessage(session, depth);
-        }
-        closeModal();
-        activeTapTippy.hide();
+/**
+ * Downloads the path from the first message down to a message as a chat file, in the format SillyTavern
+ * stores chats in, so it can be imported again. Only what the timeline knows about the messages is included.
+ *
+ * @param {Object} node - The node of the last message to export.
+ */
+function exportBranch(node) {
+    const context = getContext();
+    const session = node.data('chat_sessions')[0];
+    const metadata = getSessionMetadata(session) || {};
+    const messages = getAncestorPath(timelineModel, node.id()).slice(1).map(id => {
+        const data = timelineModel.nodes.get(id);
+        return {
+            name: data.name,
+            is_user: Boolean(data.is_user),
+            is_system: Boolean(data.is_system),
+            send_date: data.send_date,
+            mes: data.msg,
+            extra: {},
+        };
     });
+    // Group chat files have no header line
+    const header = {
+        user_name: metadata.user_name ?? context.name1,
+        character_name: metadata.character_name ?? context.name2,
+        create_date: metadata.create_date ?? new Date().toISOString(),
+        chat_metadata: {},
+    };
+    const lines = context.groupId ? messages : [header, ...messages];
+    const fileName = `${session.split('.jsonl')[0]} - branch to message ${messages.length}.jsonl`;
+    download(lines.map(line => JSON.stringify(line)).join('\n'), fileName, 'application/jsonl');
+}
 
-    function refreshLayout(initial, centerNode = false) {
-        cyLayout = cy.elements().makeLayout(layout);
-        if (cyLayout) {
-            cyLayout.stop();
-        }
-
-        if (initial) {
-            cy.json({
-                elements: nodeData,
-            });
+/**
+ * Returns the key under which the notes on the nodes of the current timeline are stored.
+ *
+ * @returns {string} The local storage key.
+ */
+function getNodeNotesKey() {
+    return `${extensionName}:notes:${getTimelineOwnerKey()}`;
+}
 
-            cyLayout = cy.layout(layout);
-        } else {
-            layout.fit = false;
-            cyLayout = cy.elements().makeLayout(layout);
-        }
-        // unlock nodes
-        cy.nodes().forEach(node => {
-            node.unlock();
-        });
+/**
+ * Loads the notes of the current timeline from local storage.
+ */
+function loadNodeNotes() {
+    try {
+        nodeNotes = JSON.parse(localStorage.getItem(getNodeNotesKey())) || {};
+    } catch (error) {
+        nodeNotes = {};
+    }
+}
 
+/**
+ * Marks the nodes that have a note. Node IDs are derived from the messages, so notes stay with their message
+ * across rebuilds.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ */
+function applyNodeNotes(cy) {
+    cy.nodes('.has-note').removeClass('has-note');
+    Object.keys(nodeNotes).forEach(id => cy.getElementById(id).addClass('has-note'));
+}
 
-        cyLayout.run();
-        if (centerNode) {
-            cy.animate({
-                center: { eles: centerNode },
-                zoom: cy.zoom(),  // Maintain the current zoom level, but adjust the center
-                duration: 300,  // Adjust the duration as needed for a smooth transition
-            });
-        }
-        // reloack nodes
-        cy.nodes().forEach(node => {
-            node.lock();
-        });
+/**
+ * Opens the note editor for a node.
+ *
+ * @param {Object} node - The node to add a note to.
+ */
+function openNoteEditor(node) {
+    noteEditorNodeId = node.id();
+    const text = document.getElementById('nodeNoteText');
+    text.value = nodeNotes[noteEditorNodeId] || '';
+    document.getElementById('nodeNoteEditor').classList.remove('hidden');
+    text.focus();
+}
 
+/**
+ * Saves the note in the editor; an empty note removes the note of the node.
+ */
+function saveNodeNote() {
+    const note = document.getElementById('nodeNoteText').value.trim();
+    if (note) {
+        nodeNotes[noteEditorNodeId] = note;
+    } else {
+        delete nodeNotes[noteEditorNodeId];
     }
+    localStorage.setItem(getNodeNotesKey(), JSON.stringify(nodeNotes));
+    closeNoteEditor();
+    if (cyInstance) {
+        applyNodeNotes(cyInstance);
+    }
+}
 
-    let storedNodesMap = {};  // This will map parent node IDs to their stored child nodes
-
-    cy.on('taphold', 'node', function (evt) {
-        let node = evt.target;
-        let nodeId = node.id();
-
-        // Check if the node has the storedSwipes attribute
-        if (node.data('storedSwipes')) {
-            console.log(node.data('storedSwipes'));
-            // Determine if the swipes are already added to the graph
-            const firstSwipeId = node.data('storedSwipes')[0].node.id;
-            const swipeExists = cy.getElementById(firstSwipeId).length > 0;
-
-            if (!swipeExists) {
-                // Add stored swipes and their edges to the graph
-                node.data('storedSwipes').forEach(({ node: swipeNode, edge: swipeEdge }) => {
-                    // increase the edge weight
-                    swipeEdge.weight = 100;
-                    cy.add({ group: 'nodes', data: swipeNode });
-                    cy.add({ group: 'edges', data: swipeEdge });
-                });
-            } else {
-                // Remove stored swipes and their edges from the graph
-                node.data('storedSwipes').forEach(({ node: swipeNode }) => {
-                    cy.getElementById(swipeNode.id).remove();
-                });
-            }
-        }
+/**
+ * Closes the note editor without saving.
+ */
+function closeNoteEditor() {
+    noteEditorNodeId = null;
+    document.getElementById('nodeNoteEditor').classList.add('hidden');
+}
 
-        refreshLayout(false, false);
-    });
+/**
+ * Escapes text for use in the HTML of a tooltip.
+ *
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeTooltipText(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
 
+/**
+ * Shows or hides the swipes of a node, like long-pressing it. The layout is not refreshed.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {Object} node - The node whose swipes to toggle.
+ * @returns {boolean} True if the node has swipes and they were toggled.
+ */
+function toggleNodeSwipes(cy, node) {
+    const storedSwipes = node.data('storedSwipes');
+    if (!storedSwipes || storedSwipes.length === 0) {
+        return false;
+    }
+    // Determine if the swipes are already added to the graph
+    if (cy.getElementById(storedSwipes[0].node.id).length === 0) {
+        expandSwipes(cy, node);
+    } else {
+        collapseSwipes(cy, node);
+    }
+    return true;
+}
 
-    let hasSetOrientation = false;  // A flag to ensure we set the orientation only once
+/**
+ * Collapses the subtree below a node of the message graph into a badge on the node, or expands it again.
+ * The choice is remembered in the view state. The layout is not refreshed.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {Object} node - The node whose subtree to toggle.
+ * @returns {boolean} True if the node has a subtree and it was toggled.
+ */
+function toggleSubtree(cy, node) {
+    if (viewMode !== 'messages' || (!node.hasClass('collapsed') && node.outgoers('node').length === 0)) {
+        return false;
+    }
+    const id = node.id();
+    if (viewState.collapsedNodes.includes(id)) {
+        viewState.collapsedNodes = viewState.collapsedNodes.filter(collapsedId => collapsedId !== id);
+    } else {
+        viewState.collapsedNodes.push(id);
+    }
+    saveViewState();
+    applyCollapsedNodes(cy);
+    return true;
+}
 
-    cy.on('render', function () {
-        if (!hasSetOrientation) {
-            setGraphOrientationBasedOnViewport(cy, layout);
-            hasSetOrientation = true;
-            if (extension_settings.timeline.lockNodes) {
-                cy.nodes().forEach(node => {
-                    node.lock();
-                });
+/**
+ * Hides the subtrees of the collapsed nodes in the view state, and shows all others. Collapsed nodes show
+ * a summary of what they hide: the number of messages, of the chat sessions they belong to, and of bookmarks.
+ * Nodes collapsed inside a collapsed subtree stay collapsed when the outer one is expanded.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ */
+function applyCollapsedNodes(cy) {
+    cy.batch(() => {
+        cy.elements('.collapsed-hidden').removeClass('collapsed-hidden');
+        cy.nodes('.collapsed').removeClass('collapsed');
+        viewState.collapsedNodes.forEach(id => {
+            const node = cy.getElementById(id);
+            const subtree = node.successors();
+            if (node.length === 0 || subtree.length === 0) {
+                return;
             }
-        }
+            // Segments of the compact mode stand for the messages they fold, which are never bookmarks
+            const messages = subtree.nodes('[^isSwipe]').map(message => message.data('segmentNodeIds') || [message.id()]).flat();
+            const sessions = new Set(messages.map(id => timelineModel.nodes.get(id)?.chat_sessions || []).flat());
+            const bookmarks = subtree.nodes('[?isBookmark][^isSwipe]').length;
+            const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+            let summary = `+${plural(messages.length, 'message')}`;
+            if (sessions.size > 0) {
+                summary += `\n${plural(sessions.size, 'session')}`;
+            }
+            if (bookmarks > 0) {
+                summary += `\n${plural(bookmarks, 'bookmark')}`;
+            }
+            node.scratch('_timeline', { ...node.scratch('_timeline'), collapsedSummary: summary });
+            node.addClass('collapsed');
+            subtree.addClass('collapsed-hidden');
+        });
     });
+}
 
-    const truncateMessage = (msg, length = 100) => {
-        if (msg === undefined) {
+/**
+ * Turns the graph clockwise, see `toggleGraphOrientation`, and remembers the new orientation in the settings.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ */
+function rotateGraph(cy) {
+    if (!isLayoutOriented(extension_settings.timeline)) {
+        return;
+    }
+    toggleGraphOrientation(cy, layout);
+    extension_settings.timeline.graphOrientation = getGraphOrientation();
+    // The timeline is already laid out, so unlike a change in the settings panel this needs no rebuild
+    $('#tl_graph_orientation').val(getGraphOrientation());
+    saveSettingsDebounced();
+    //refresh the layout
+    refreshLayout(cy, false);
+    cy.fit();
+}
+
+/**
+ * Maps an arrow key to a direction in the graph, taking the orientation into account: in a left-to-right
+ * graph, left goes to the parent and up and down go to the siblings; in a top-to-bottom graph, up goes to the parent.
+ * Right-to-left and bottom-to-top graphs swap the keys for the parent and the child.
+ *
+ * @param {string} key - The `key` of the keyboard event.
+ * @returns {string|null} 'parent', 'child', 'previous' or 'next', or null if the key is no arrow key.
+ */
+function getArrowKeyDirection(key) {
+    const directions = {
+        LR: { ArrowLeft: 'parent', ArrowRight: 'child', ArrowUp: 'previous', ArrowDown: 'next' },
+        RL: { ArrowRight: 'parent', ArrowLeft: 'child', ArrowUp: 'previous', ArrowDown: 'next' },
+        TB: { ArrowUp: 'parent', ArrowDown: 'child', ArrowLeft: 'previous', ArrowRight: 'next' },
+        BT: { ArrowDown: 'parent', ArrowUp: 'child', ArrowLeft: 'previous', ArrowRight: 'next' },
+    }[getGraphOrientation()];
+    return directions[key] || null;
+}
+
+/**
+ * Finds the node to move to from a node. The graph shown is used rather than the timeline model,
+ * so this works for the sessions view and only reaches swipes that are expanded.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {Object} node - The node to move from.
+ * @param {string} direction - 'parent', 'child' (the first child), 'previous' or 'next' (sibling).
+ * @returns {Object|null} The node to move to, or null if there is none in that direction.
+ */
+function getNeighborNode(cy, node, direction) {
+    const parent = node.incomers('node').first();
+    if (direction === 'parent') {
+        return parent.length > 0 ? parent : null;
+    }
+    if (direction === 'child') {
+        const child = node.outgoers('node:visible').first();
+        return child.length > 0 ? child : null;
+    }
+    if (parent.length === 0) {
+        return null;
+    }
+    const siblings = parent.outgoers('node:visible');
+    const index = siblings.indexOf(node) + (direction === 'next' ? 1 : -1);
+    return index >= 0 && index < siblings.length ? siblings[index] : null;
+}
+
+/**
+ * Selects a node reached with the keyboard and pans the graph if the node is out of view.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {Object} node - The node to select.
+ */
+function selectNodeByKeyboard(cy, node) {
+    cy.elements().unselect();
+    node.select();
+    if (viewMode === 'messages') {
+        viewState.selectedNodeId = node.id();
+        saveViewState();
+    }
+
+    const position = node.renderedPosition();
+    const margin = 50;
+    if (position.x < margin || position.y < margin || position.x > cy.width() - margin || position.y > cy.height() - margin) {
+        cy.stop(true);
+        cy.animate({ center: { eles: node }, duration: 150 });
+    }
+}
+
+/**
+ * Returns the part of local storage keys that identifies the current character or group.
+ *
+ * @returns {string} The avatar of the character, or `group:` and the ID of the group.
+ */
+function getTimelineOwnerKey() {
+    const context = getContext();
+    return context.groupId ? `group:${context.groupId}` : context.characters[context.characterId]?.avatar;
+}
+
+/**
+ * Returns the key under which the view state of the current character's or group's timeline is stored.
+ *
+ * @returns {string} The local storage key.
+ */
+function getViewStateKey() {
+    return `${extensionName}:view:${getTimelineOwnerKey()}`;
+}
+
+/**
+ * Loads the view state (selected node, expanded swipes and collapsed subtrees) of the current timeline from local storage.
+ * Node IDs are derived from message content and ancestry, so the state stays valid across rebuilds and sessions.
+ */
+function loadViewState() {
+    try {
+        viewState = { ...defaultViewState, ...JSON.parse(localStorage.getItem(getViewStateKey())) };
+    } catch (error) {
+        viewState = { ...defaultViewState };
+    }
+    viewState.expandedSwipes = [...viewState.expandedSwipes];
+    viewState.collapsedNodes = [...viewState.collapsedNodes];
+}
+
+/**
+ * Saves the view state of the current timeline to local storage.
+ */
+function saveViewState() {
+    localStorage.setItem(getViewStateKey(), JSON.stringify(viewState));
+}
+
+/**
+ * Restores the saved view state in a freshly rendered graph: re-expands remembered swipes, collapses remembered
+ * subtrees and reselects the last selected node. Entries whose node no longer exists are dropped.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ */
+function restoreViewState(cy) {
+    const expandedSwipes = viewState.expandedSwipes;
+    viewState.expandedSwipes = [];
+    expandedSwipes.forEach(id => {
+        const node = cy.getElementById(id);
+        if (node.length > 0) {
+            expandSwipes(cy, node);
+        }
+    });
+    viewState.collapsedNodes = viewState.collapsedNodes.filter(id => cy.getElementById(id).length > 0);
+    saveViewState();
+    applyCollapsedNodes(cy);
+    if (viewState.expandedSwipes.length > 0 || viewState.collapsedNodes.length > 0) {
+        refreshLayout(cy, false);
+    }
+
+    if (viewState.selectedNodeId) {
+        cy.getElementById(viewState.selectedNodeId).select();
+    }
+}
+
+
+/**
+ * Sets up event handlers for the given Cytoscape instance and node data.
+ *
+ * This function does the following:
+ * 1. Registers the context menu of nodes, edges and the background, see `getContextMenuItems`.
+ * 2. Attaches listeners to the 'input' event of the search field to enable node highlighting based on search query.
+ * 3. Adds an event listener to handle node clicks, triggering actions like node navigation.
+ * 4. Configures the graph's orientation based on the viewport dimensions.
+ * 5. Implements a delay for displaying tooltips on node hover, showcasing truncated node messages.
+ *
+ * @param {Object} cy - The Cytoscape instance for which the event handlers are being set up.
+ * @param {Array<Object>} nodeData - Array of node data objects containing information like chat sessions.
+ */
+function setupEventHandlers(cy, nodeData) {
+    let showTimeout;
+    let activeTapTippy = null;
+
+    contextMenu = cy.contextMenus({
+        menuItems: getContextMenuItems(cy),
+        contextMenuClasses: ['timeline-context-menu'],
+        menuItemClasses: ['timeline-context-menu-item'],
+    });
+
+    // Assigned rather than added, so the handler of a previously rendered graph is replaced
+    document.getElementById('transparent-search').oninput = function (e) {
+        let mainSearch = document.getElementById('transparent-search');
+        mainSearch.value = e.target.value;
+
+        // Not lowercased, operators (AND, OR, NOT) and regular expression flags are case-sensitive
+        let query = e.target.value;
+        // Searching all chats takes a while, so it only starts on Enter
+        if (!globalSearchMode) {
+            updateSearchResultsDebounced(cy, query);
+        }
+    };
+    document.getElementById('transparent-search').onkeydown = function (e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            if (globalSearchMode) {
+                runGlobalSearch(e.target.value);
+            } else {
+                // Don't wait for the search of what was just typed
+                updateTypedSearchResults(cy, e.target.value);
+                stepSearchMatch(cy, e.shiftKey ? -1 : 1);
+            }
+        }
+    };
+    document.getElementById('searchPrev').onclick = () => stepSearchMatch(cy, -1);
+    document.getElementById('searchNext').onclick = () => stepSearchMatch(cy, 1);
+
+    let modal = document.getElementById('myModal');
+    let rotateBtn = modal.getElementsByClassName('rotate')[0];
+    rotateBtn.onclick = function () {
+        rotateGraph(cy);
+    };
+
+    let sessionsBtn = modal.getElementsByClassName('sessions-toggle')[0];
+    sessionsBtn.onclick = function () {
+        setViewMode(cy, viewMode === 'sessions' ? 'messages' : 'sessions');
+    };
+
+    let expandBtn = modal.getElementsByClassName('expand')[0];
+    expandBtn.onclick = function () {
+        toggleSwipes(cy);
+        refreshLayout(cy, false);
+        cy.fit();
+    };
+
+    attachMinimap(cy, document.getElementById('minimap'));
+
+    cy.ready(function () {
+        if (extension_settings.timeline.showLegend) {
+            createLegend(cy);
+            document.getElementById('legendDiv').style.display = 'block';
+        }
+        else {
+            document.getElementById('legendDiv').style.display = 'none';
+        }
+        restoreViewState(cy);
+        applyNodeNotes(cy);
+        updateSearchResults(cy, document.getElementById('transparent-search').value);
+        if (pendingFocusNodeId) {
+            markActiveChat(cy);
+            applyPendingFocus(cy);
+        } else {
+            centerOnActiveChat(cy);
+        }
+        closeOpenDrawers();
+        // Take the keyboard focus for the arrow keys, unless the user is typing a search or chatting next to the docked timeline
+        if (document.activeElement !== document.getElementById('transparent-search') && !isDockedTimelineShown()) {
+            document.getElementById('myDiagramDiv').focus({ preventScroll: true });
+        }
+    });
+
+    cy.on('tap', 'node', function (evt) {
+        clearTimeout(showTimeout); // Clear any pending timeout for showing tooltip
+        let node = evt.target;
+        if (node._tippy) {
+            node._tippy.hide(); // Hide the tippy instance associated with the node
+        }
+        if (activeTapTippy) {
+            activeTapTippy.hide();
+        }
+        if (node.data('isSession')) {
+            jumpToDivergencePoint(cy, node);
+            return;
+        }
+        if (node.data('isSegment')) {
+            expandSegment(cy, node);
+            return;
+        }
+        // The chats of the other trees can't be opened from here, so the node is shown in its own timeline
+        if (viewMode === 'multi') {
+            openTreeNode(node);
+            return;
+        }
+        let tipInstance = makeTapTippy(node);
+        viewState.selectedNodeId = node.id();
+        saveViewState();
+
+        // Show the tooltip
+        tipInstance.show();
+
+        activeTapTippy = tipInstance;
+
+
+        // Optional: Hide the tooltip if user taps anywhere else
+        cy.on('tap', function (e) {
+            if (e.target === cy) {
+                tipInstance.hide();
+            }
+        });
+    });
+
+    // Handle double click on nodes for quickly navigating to the message
+    cy.on('dbltap ', 'node', function (evt) {
+        let node = evt.target;
+        if (node.data('isSession') || viewMode === 'multi') {
+            return;
+        }
+        openNodeMessage(node);
+        if (activeTapTippy) {
+            activeTapTippy.hide();
+        }
+    });
+
+    cy.on('taphold', 'node', function (evt) {
+        toggleNodeSwipes(cy, evt.target);
+        refreshLayout(cy, false, false);
+    });
+
+    // Keyboard navigation; the diagram gets the keyboard focus when clicked
+    const diagramDiv = document.getElementById('myDiagramDiv');
+    diagramDiv.onkeydown = function (e) {
+        let node = cy.nodes(':selected').first();
+        if (node.length === 0) {
+            node = cy.nodes('[label="root"]').first();
+        }
+
+        const direction = getArrowKeyDirection(e.key);
+        if (direction) {
+            e.preventDefault();
+            const target = getNeighborNode(cy, node, direction);
+            if (target && target.length > 0) {
+                if (activeTapTippy) {
+                    activeTapTippy.hide();
+                }
+                selectNodeByKeyboard(cy, target);
+            }
+            return;
+        }
+
+        switch (e.key) {
+            case 'Enter':
+                e.preventDefault();
+                if (node.data('isSession')) {
+                    jumpToDivergencePoint(cy, node);
+                } else if (node.data('isSegment')) {
+                    expandSegment(cy, node);
+                } else if (viewMode === 'multi') {
+                    openTreeNode(node);
+                } else if (openNodeMessage(node) && activeTapTippy) {
+                    activeTapTippy.hide();
+                }
+                break;
+            case ' ':
+                // Like a tap, open the tooltip of the selected node
+                e.preventDefault();
+                node.emit('tap');
+                break;
+            case 's':
+            case 'S':
+                if (toggleNodeSwipes(cy, node)) {
+                    refreshLayout(cy, false, node);
+                }
+                break;
+            case 'c':
+            case 'C':
+                if (toggleSubtree(cy, node)) {
+                    refreshLayout(cy, false, node);
+                }
+                break;
+            case 'Escape':
+                if (activeTapTippy) {
+                    activeTapTippy.hide();
+                }
+                cy.nodes().forEach(ele => ele._tippy && ele._tippy.hide());
+                break;
+            case '/':
+                e.preventDefault();
+                document.getElementById('transparent-search').focus();
+                break;
+        }
+    };
+
+
+    let hasSetOrientation = false;  // A flag to ensure we set the orientation only once
+
+    cy.on('render', function () {
+        if (!hasSetOrientation) {
+            const orientation = extension_settings.timeline.graphOrientation;
+            if (orientation === 'auto') {
+                setGraphOrientationBasedOnViewport(cy, layout);
+            } else {
+                setGraphOrientation(cy, orientation, layout);
+            }
+            hasSetOrientation = true;
+            if (extension_settings.timeline.lockNodes) {
+                cy.nodes().forEach(node => {
+                    node.lock();
+                });
+            }
+        }
+    });
+
+    const truncateMessage = (msg, length = 100) => {
+        if (msg === undefined) {
             return '';
         }
         return msg.length > length ? msg.substr(0, length - 3) + '...' : msg;
     };
 
-    //Figure out how to do the deley better later
-    cy.on('mouseover', 'node', function (evt) {
-        if (isTapTippyActive) {
-            return;  // Return early if tap Tippy is active
+    //Figure out how to do the deley better later
+    cy.on('mouseover', 'node', function (evt) {
+        if (isTapTippyActive) {
+            return;  // Return early if tap Tippy is active
+        }
+
+        let node = evt.target;
+        let truncatedMsg = truncateMessage(node.data('msg'));
+        let content = node.data('name') ? `${node.data('name')}: ${truncatedMsg}` : truncatedMsg;
+        if (node.data('isSession')) {
+            content = [node.data('file_name').split('.jsonl')[0], ...describeSession(node.data('file_name'))].join('<br>');
+        }
+        if (node.data('isSegment')) {
+            content = `${node.data('segmentLabel').replace('\n', '<br>')}<br><small>Tap to show the messages</small>`;
+        }
+        const branches = node.data('branchSessions') || [];
+        if (branches.length > 0) {
+            content += `<br><small>Branched here: ${branches.map(session => session.split('.jsonl')[0]).join(', ')}</small>`;
+        }
+        if (node.hasClass('has-note')) {
+            content += `<br><small>Note: ${escapeTooltipText(nodeNotes[node.id()])}</small>`;
+        }
+
+        // Delay the tooltip appearance by 3 seconds (3000 ms)
+        showTimeout = setTimeout(() => {
+            let tippy = makeTippy(node, content);
+            tippy.show();
+            node._tippy = tippy; // Store tippy instance on the node
+        }, 250);
+    });
+
+
+    cy.on('mouseout', 'node', function (evt) {
+        let node = evt.target;
+
+        // Clear the timeout if mouse is moved out before tooltip appears
+        if (showTimeout) {
+            clearTimeout(showTimeout);
+        }
+
+        if (node._tippy) {
+            node._tippy.hide();
+        }
+    });
+}
+
+/**
+ * Runs a search query on the rendered graph: highlights the matching nodes and lists them in the results panel
+ * below the search box. The panel is hidden while the query is empty.
+ *
+ * @param {Object} cy - The Cytoscape instance of the rendered timeline.
+ * @param {string} query - The search query, see tl_search.js for the syntax.
+ */
+function updateSearchResults(cy, query) {
+    // The panel lists the results of the global search instead
+    if (globalSearchMode) {
+        return;
+    }
+    const model = getDisplayedModel();
+    // Revealing swipes and messages can both change the graph, so the layout runs once for both
+    let revealed = false;
+    searchMatches = highlightNodesByQuery(cy, model, query,
+        (parentIds) => { revealed = revealMatchingSwipes(cy, parentIds) || revealed; },
+        (matchIds) => { revealed = revealMatchingMessages(cy, matchIds) || revealed; });
+    if (revealed) {
+        refreshLayout(cy, false);
+    }
+    searchMatchIndex = -1;
+    searchedQuery = query;
+
+    const panel = document.getElementById('searchResults');
+    const list = document.getElementById('searchResultsList');
+    list.innerHTML = '';
+    const ast = parseSearchQuery(query);
+    if (!ast) {
+        panel.classList.add('hidden');
+        return;
+    }
+    panel.classList.remove('hidden');
+    updateSearchResultsCount();
+
+    searchMatches.slice(0, MAX_SEARCH_RESULTS).forEach((id, index) => {
+        const data = model.nodes.get(id);
+        const session = (data.chat_sessions || [])[0] || '';
+        const meta = [multiTreeOwners[data.treeIndex]?.name, data.name, data.send_date, session.split('.jsonl')[0], data.isSwipe ? 'swipe' : ''];
+        let item = createSearchResultItem(data, ast, meta, () => goToSearchMatch(cy, index));
+        item.dataset.matchIndex = index;
+        list.appendChild(item);
+    });
+    if (searchMatches.length > MAX_SEARCH_RESULTS) {
+        let more = document.createElement('div');
+        more.classList.add('search-result-meta', 'search-results-more');
+        more.textContent = `${searchMatches.length - MAX_SEARCH_RESULTS} more, use next/previous to step through them`;
+        list.appendChild(more);
+    }
+}
+
+/**
+ * Updates the search results for a query typed into the search box, unless they are already shown.
+ * Called debounced while typing, so a long timeline isn't searched and laid out on every keystroke.
+ *
+ * @param {Object} cy - The Cytoscape instance of the rendered timeline.
+ * @param {string} query - The search query.
+ */
+function updateTypedSearchResults(cy, query) {
+    if (!cy.destroyed() && query !== searchedQuery) {
+        updateSearchResults(cy, query);
+    }
+}
+
+/**
+ * Creates the entry of a search result in the results panel.
+ *
+ * @param {Object} data - The node data of the match.
+ * @param {Object} ast - The parsed search query, for highlighting the matched text.
+ * @param {Array<string>} meta - The details shown above the excerpt; empty ones are left out.
+ * @param {Function} onClick - Called when the entry is clicked.
+ * @returns {HTMLElement} The entry.
+ */
+function createSearchResultItem(data, ast, meta, onClick) {
+    let item = document.createElement('div');
+    item.classList.add('search-result');
+
+    let metaDiv = document.createElement('div');
+    metaDiv.classList.add('search-result-meta');
+    metaDiv.textContent = meta.filter(Boolean).join(' · ');
+    item.appendChild(metaDiv);
+
+    let snippet = document.createElement('div');
+    snippet.classList.add('search-result-snippet');
+    appendSearchSnippet(snippet, data.msg || '', getSearchHighlightRanges(ast, data.msg || ''));
+    item.appendChild(snippet);
+
+    item.addEventListener('click', onClick);
+    return item;
+}
+
+/**
+ * Switches the search box between searching the current timeline and searching the chats of all
+ * characters and groups. Leaving the global search cancels it and searches the current timeline again.
+ *
+ * @param {boolean} enabled - Whether to search all chats.
+ */
+function setGlobalSearchMode(enabled) {
+    globalSearchMode = enabled;
+    if (globalSearchController) {
+        globalSearchController.abort();
+        globalSearchController = null;
+    }
+    const search = document.getElementById('transparent-search');
+    search.placeholder = enabled ? 'Search all chats (Enter)...' : 'Search...';
+    document.getElementById('globalSearchToggle').classList.toggle('active', enabled);
+    const panel = document.getElementById('searchResults');
+    panel.classList.toggle('global', enabled);
+    document.getElementById('searchResultsList').innerHTML = '';
+
+    if (enabled) {
+        searchMatches = [];
+        if (cyInstance) {
+            searchedQuery = '';
+            highlightNodesByQuery(cyInstance, getDisplayedModel(), '', (parentIds) => {
+                if (revealMatchingSwipes(cyInstance, parentIds)) {
+                    refreshLayout(cyInstance, false);
+                }
+            });
+        }
+        document.getElementById('searchResultsCount').textContent = 'Press Enter to search all characters and groups';
+        panel.classList.remove('hidden');
+    } else if (cyInstance) {
+        updateSearchResults(cyInstance, search.value);
+    } else {
+        panel.classList.add('hidden');
+    }
+    search.focus();
+}
+
+/**
+ * Searches the chats of all characters and groups and lists the hits in the results panel, grouped by
+ * character or group and by chat. A search that is still running is cancelled.
+ *
+ * @async
+ * @param {string} query - The search query, see tl_search.js for the syntax.
+ * @returns {Promise<void>}
+ */
+async function runGlobalSearch(query) {
+    if (globalSearchController) {
+        globalSearchController.abort();
+    }
+    const controller = new AbortController();
+    globalSearchController = controller;
+
+    const count = document.getElementById('searchResultsCount');
+    const list = document.getElementById('searchResultsList');
+    list.innerHTML = '';
+    count.textContent = 'Searching...';
+
+    const { hits, total } = await searchAllChats(query, {
+        signal: controller.signal,
+        onProgress: (loaded, chatCount) => {
+            if (!controller.signal.aborted) {
+                count.textContent = `Searching... ${loaded} / ${chatCount} chats`;
+            }
+        },
+    });
+    if (controller.signal.aborted) {
+        return;
+    }
+    globalSearchController = null;
+
+    count.textContent = total === 0 ? 'No matches' : `${total} ${total === 1 ? 'match' : 'matches'}${total > hits.length ? `, showing the first ${hits.length}` : ''}`;
+    const ast = parseSearchQuery(query);
+    let lastOwner = null;
+    let lastSession = null;
+    hits.forEach(hit => {
+        const ownerKey = `${hit.owner.type}:${hit.owner.id}`;
+        if (ownerKey !== lastOwner) {
+            let header = document.createElement('div');
+            header.classList.add('search-results-group');
+            header.textContent = hit.owner.type === 'group' ? `${hit.owner.name} (group)` : hit.owner.name;
+            list.appendChild(header);
+            lastOwner = ownerKey;
+            lastSession = null;
+        }
+        if (hit.session !== lastSession) {
+            let header = document.createElement('div');
+            header.classList.add('search-results-session');
+            header.textContent = hit.session.split('.jsonl')[0];
+            list.appendChild(header);
+            lastSession = hit.session;
+        }
+        const meta = [hit.data.name, hit.data.send_date];
+        list.appendChild(createSearchResultItem(hit.data, ast, meta, () => openGlobalSearchHit(hit)));
+    });
+}
+
+/**
+ * Opens the timeline of the character or group a global search hit belongs to, focused on the hit.
+ *
+ * @async
+ * @param {Object} hit - A hit returned by `searchAllChats`.
+ * @returns {Promise<void>}
+ */
+async function openGlobalSearchHit(hit) {
+    await openTimelineAt(hit.owner, hit.nodeId, () => setGlobalSearchMode(false));
+}
+
+/**
+ * Opens the message graph of a character or group, focused on one of its nodes. Switching to another
+ * character or group loads its chat, like selecting it in the character list.
+ *
+ * @async
+ * @param {Object} owner - The character or group as `{ type, id, name }`, see `forEachChat`.
+ * @param {string} nodeId - The ID of the node in the timeline of the character or group.
+ * @param {Function} [beforeOpen] - Called once the character or group is selected, before its timeline is shown.
+ * @returns {Promise<void>}
+ */
+async function openTimelineAt(owner, nodeId, beforeOpen = null) {
+    const context = getContext();
+    if (owner.type === 'group') {
+        if (context.groupId !== owner.id) {
+            await openGroupById(owner.id);
+        }
+    } else {
+        const characterId = context.characters.findIndex(character => character.avatar === owner.id);
+        if (characterId === -1) {
+            toastr.warning(`${owner.name} no longer exists`);
+            return;
+        }
+        if (context.groupId || String(context.characterId) !== String(characterId)) {
+            await selectCharacterById(String(characterId));
+        }
+    }
+
+    pendingFocusNodeId = nodeId;
+    beforeOpen && beforeOpen();
+    await onTimelineButtonClick();
+    // If the timeline was already shown, it isn't rendered again, but may show another view
+    if (cyInstance) {
+        if (viewMode !== 'messages') {
+            setViewMode(cyInstance, 'messages');
+        }
+        applyPendingFocus(cyInstance);
+    }
+}
+
+/**
+ * Focuses the node a global search hit asked for, once its timeline is rendered.
+ *
+ * @param {Object} cy - The Cytoscape instance of the rendered timeline.
+ */
+function applyPendingFocus(cy) {
+    if (!pendingFocusNodeId) {
+        return;
+    }
+    // In compact mode, an already rendered graph may have the node folded into a segment
+    syncSegments(cy);
+    const node = cy.getElementById(pendingFocusNodeId);
+    pendingFocusNodeId = null;
+    if (node.length > 0) {
+        focusNode(cy, node);
+    } else {
+        toastr.warning('The message was not found in the timeline');
+    }
+}
+
+/**
+ * Shows the swipes of the nodes whose stored swipes match the search, and hides the swipes that were only
+ * shown for an earlier search. Swipes expanded by the search are not remembered in the view state, and
+ * swipes the user expanded are left alone.
+ *
+ * The layout is left to the caller.
+ *
+ * @param {Object} cy - The Cytoscape instance of the rendered timeline.
+ * @param {Array<string>} parentIds - The IDs of the nodes with matching swipes.
+ * @returns {boolean} True if swipes were shown or hidden.
+ */
+function revealMatchingSwipes(cy, parentIds) {
+    const needed = new Set(parentIds);
+    let changed = false;
+
+    searchExpandedSwipes.forEach(id => {
+        if (!needed.has(id)) {
+            searchExpandedSwipes.delete(id);
+            const node = cy.getElementById(id);
+            if (node.length > 0 && !viewState.expandedSwipes.includes(id)) {
+                collapseSwipes(cy, node);
+                changed = true;
+            }
+        }
+    });
+    needed.forEach(id => {
+        const node = cy.getElementById(id);
+        const storedSwipes = node.data('storedSwipes') || [];
+        if (storedSwipes.length > 0 && cy.getElementById(storedSwipes[0].node.id).length === 0) {
+            expandSwipes(cy, node, false);
+            searchExpandedSwipes.add(id);
+            changed = true;
+        }
+    });
+    return changed;
+}
+
+/**
+ * Shows the number of matches, and the position of the current one, in the results panel.
+ */
+function updateSearchResultsCount() {
+    const count = document.getElementById('searchResultsCount');
+    if (searchMatches.length === 0) {
+        count.textContent = 'No matches';
+    } else if (searchMatchIndex === -1) {
+        count.textContent = `${searchMatches.length} ${searchMatches.length === 1 ? 'match' : 'matches'}`;
+    } else {
+        count.textContent = `${searchMatchIndex + 1} / ${searchMatches.length}`;
+    }
+}
+
+/**
+ * Appends an excerpt of a message to an element, with the matched parts wrapped in <mark> elements.
+ * The excerpt starts a little before the first match; text is added as text nodes, never as HTML.
+ *
+ * @param {HTMLElement} container - The element to append the excerpt to.
+ * @param {string} text - The message text.
+ * @param {Array<Array<number>>} ranges - The matched `[start, end]` ranges, see `getSearchHighlightRanges`.
+ */
+function appendSearchSnippet(container, text, ranges) {
+    const start = ranges.length > 0 ? Math.max(0, ranges[0][0] - SEARCH_SNIPPET_CONTEXT) : 0;
+    const end = Math.min(text.length, (ranges.length > 0 ? ranges[0][1] : 0) + SEARCH_SNIPPET_CONTEXT * 2);
+    let position = start;
+
+    container.append(start > 0 ? '…' : '');
+    ranges.filter(([from, to]) => from < end && to > start).forEach(([from, to]) => {
+        from = Math.max(from, start);
+        to = Math.min(to, end);
+        let mark = document.createElement('mark');
+        mark.textContent = text.slice(from, to);
+        container.append(text.slice(position, from), mark);
+        position = to;
+    });
+    container.append(text.slice(position, end), end < text.length ? '…' : '');
+}
+
+/**
+ * Moves to the next or previous search match, wrapping around at either end.
+ *
+ * @param {Object} cy - The Cytoscape instance of the rendered timeline.
+ * @param {number} direction - 1 for the next match, -1 for the previous one.
+ */
+function stepSearchMatch(cy, direction) {
+    // Before the first step, "previous" starts from the end
+    const index = searchMatchIndex === -1 ? (direction > 0 ? 0 : -1) : searchMatchIndex + direction;
+    goToSearchMatch(cy, index);
+}
+
+/**
+ * Pans and zooms the graph to a search match, marks it in the results panel and opens its tap tooltip.
+ *
+ * @param {Object} cy - The Cytoscape instance of the rendered timeline.
+ * @param {number} index - The index of the match; out of range indexes wrap around.
+ */
+function goToSearchMatch(cy, index) {
+    if (searchMatches.length === 0) {
+        return;
+    }
+    searchMatchIndex = (index % searchMatches.length + searchMatches.length) % searchMatches.length;
+    updateSearchResultsCount();
+    document.querySelectorAll('#searchResultsList .search-result').forEach(item => {
+        const isActive = Number(item.dataset.matchIndex) === searchMatchIndex;
+        item.classList.toggle('active', isActive);
+        if (isActive) {
+            item.scrollIntoView({ block: 'nearest' });
+        }
+    });
+
+    const node = cy.getElementById(searchMatches[searchMatchIndex]);
+    if (node.length > 0) {
+        focusNode(cy, node);
+    }
+}
+
+/**
+ * Selects a node, pans and zooms the graph to it and opens its tap tooltip. Collapsed subtrees
+ * that hide the node are expanded first.
+ *
+ * @param {Object} cy - The Cytoscape instance of the rendered timeline.
+ * @param {Object} node - The node to focus.
+ */
+function focusNode(cy, node) {
+    if (node.hasClass('collapsed-hidden')) {
+        const hiding = node.predecessors('node.collapsed').map(collapsed => collapsed.id());
+        viewState.collapsedNodes = viewState.collapsedNodes.filter(id => !hiding.includes(id));
+        saveViewState();
+        applyCollapsedNodes(cy);
+        refreshLayout(cy, false);
+    }
+    cy.elements().unselect();
+    node.select();
+    cy.stop(true); // Don't queue up pans when stepping quickly
+    cy.animate({
+        center: { eles: node },
+        zoom: Math.max(cy.zoom(), 1),
+        duration: 300,
+        complete: () => node.emit('tap'),
+    });
+}
+
+/**
+ * Re-runs the layout of the given Cytoscape instance.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {boolean} initial - If true, the elements are reset to the last prepared timeline data (in the current view mode)
+ *                           and the layout is fitted.
+ * @param {Object|boolean} [centerNode=false] - Optional node to center the viewport on after the layout has run.
+ */
+function refreshLayout(cy, initial, centerNode = false) {
+    cyLayout = cy.elements().makeLayout(layout);
+    if (cyLayout) {
+        cyLayout.stop();
+    }
+
+    if (initial) {
+        cy.json({
+            elements: getDisplayedElements(),
+        });
+
+        cyLayout = cy.layout(layout);
+    } else {
+        layout.fit = false;
+        // Collapsed subtrees take no space
+        cyLayout = cy.elements().not('.collapsed-hidden').makeLayout(layout);
+    }
+    // unlock nodes
+    cy.nodes().forEach(node => {
+        node.unlock();
+    });
+
+
+    cyLayout.run();
+    if (centerNode) {
+        cy.animate({
+            center: { eles: centerNode },
+            zoom: cy.zoom(),  // Maintain the current zoom level, but adjust the center
+            duration: 300,  // Adjust the duration as needed for a smooth transition
+        });
+    }
+    // reloack nodes
+    cy.nodes().forEach(node => {
+        node.lock();
+    });
+
+}
+
+/**
+ * Stores the prepared timeline data and indexes it for navigation and search.
+ *
+ * @param {Array<Object>} nodeData - The list of nodes and edges of the timeline.
+ */
+function setTimelineData(nodeData) {
+    lastTimelineData = nodeData;
+    timelineModel = createGraphModel(nodeData);
+}
+
+/**
+ * Returns the elements shown in the current view mode: the message graph, with its unbranched runs folded
+ * into segments in the compact mode, or one node per chat file in the sessions view.
+ *
+ * @returns {Array<Object>} The list of nodes and edges to display.
+ */
+function getDisplayedElements() {
+    if (viewMode === 'multi') {
+        return multiTreeElements;
+    }
+    if (viewMode === 'sessions') {
+        return buildSessionElements(timelineModel, getSessionMetadata);
+    }
+    return extension_settings.timeline.compactChains ? compressChains(lastTimelineData, getUnfoldedNodeIds()) : lastTimelineData;
+}
+
+/**
+ * Returns the IDs of the messages the compact mode must not fold into segments: those of expanded segments
+ * and search matches, and those the view state, the notes or the position in the active chat refer to.
+ *
+ * @returns {Set<string>} The node IDs.
+ */
+function getUnfoldedNodeIds() {
+    return new Set([
+        ...unfoldedNodeIds,
+        ...searchUnfoldedNodeIds,
+        ...viewState.expandedSwipes,
+        ...viewState.collapsedNodes,
+        ...Object.keys(nodeNotes),
+        viewState.selectedNodeId,
+        pendingFocusNodeId,
+        getActiveMessageNodeId(),
+    ]);
+}
+
+/**
+ * Brings the rendered message graph in line with the compact mode after its segments changed,
+ * and re-runs the layout if any element was added or removed.
+ *
+ * @param {Object} cy - The Cytoscape instance of the rendered timeline.
+ * @param {boolean} [runLayout=true] - Whether to re-run the layout, false if the caller does.
+ * @returns {boolean} True if the graph changed.
+ */
+function syncSegments(cy, runLayout = true) {
+    if (viewMode !== 'messages' || !syncElements(cy, getDisplayedElements())) {
+        return false;
+    }
+    applyCollapsedNodes(cy);
+    applyNodeNotes(cy);
+    markActiveChat(cy);
+    if (runLayout) {
+        refreshLayout(cy, false);
+    }
+    return true;
+}
+
+/**
+ * Expands a segment of the compact mode in place, showing the messages it folds.
+ *
+ * @param {Object} cy - The Cytoscape instance of the rendered timeline.
+ * @param {Object} node - The segment node.
+ */
+function expandSegment(cy, node) {
+    node.data('segmentNodeIds').forEach(id => unfoldedNodeIds.add(id));
+    syncSegments(cy);
+}
+
+/**
+ * Keeps the messages matching the search out of the segments of the compact mode, so they can be highlighted
+ * and stepped through. Messages kept out for an earlier search are folded again.
+ *
+ * The layout is left to the caller.
+ *
+ * @param {Object} cy - The Cytoscape instance of the rendered timeline.
+ * @param {Array<string>} matchIds - The IDs of the matching messages.
+ * @returns {boolean} True if the graph changed.
+ */
+function revealMatchingMessages(cy, matchIds) {
+    if (!extension_settings.timeline.compactChains || viewMode !== 'messages') {
+        return false;
+    }
+    searchUnfoldedNodeIds = new Set(matchIds);
+    return syncSegments(cy, false);
+}
+
+/**
+ * Switches the compact mode on or off and remembers the choice. Expanded segments are folded again.
+ *
+ * @param {boolean} compact - Whether to fold unbranched runs of messages into segments.
+ */
+function setCompactChains(compact) {
+    extension_settings.timeline.compactChains = compact;
+    saveSettingsDebounced();
+    unfoldedNodeIds.clear();
+    applyCompactState();
+    if (cyInstance && syncSegments(cyInstance)) {
+        if (extension_settings.timeline.showLegend) {
+            createLegend(cyInstance);
         }
+        updateSearchResults(cyInstance, document.getElementById('transparent-search').value);
+        cyInstance.fit();
+    }
+}
 
-        let node = evt.target;
-        let truncatedMsg = truncateMessage(node.data('msg'));
-        let content = node.data('name') ? `${node.data('name')}: ${truncatedMsg}` : truncatedMsg;
+/**
+ * Applies the compact mode setting to its toggle button.
+ */
+function applyCompactState() {
+    document.querySelector('#myModal .compact-toggle').classList.toggle('active', Boolean(extension_settings.timeline.compactChains));
+}
 
-        // Delay the tooltip appearance by 3 seconds (3000 ms)
-        showTimeout = setTimeout(() => {
-            let tippy = makeTippy(node, content);
-            tippy.show();
-            node._tippy = tippy; // Store tippy instance on the node
-        }, 250);
+/**
+ * Disables the rotate button and the orientation setting for layouts that have no orientation.
+ */
+function applyLayoutState() {
+    const oriented = isLayoutOriented(extension_settings.timeline);
+    const rotateBtn = document.querySelector('#myModal .rotate');
+    rotateBtn.disabled = !oriented;
+    rotateBtn.title = oriented ? 'Rotate Graph' : 'The radial layout has no orientation';
+    $('#tl_graph_orientation').prop('disabled', !oriented);
+}
+
+/**
+ * Returns the graph model of the elements shown in the current view mode, for searching them.
+ *
+ * @returns {Object} The graph model, see `createGraphModel`.
+ */
+function getDisplayedModel() {
+    return viewMode === 'multi' ? multiTreeModel : timelineModel;
+}
+
+/**
+ * Switches the rendered timeline between the message graph and the sessions view.
+ *
+ * @param {Object} cy - The Cytoscape instance of the rendered timeline.
+ * @param {string} mode - 'messages' or 'sessions'.
+ */
+function setViewMode(cy, mode) {
+    viewMode = mode;
+    document.querySelector('#myModal .sessions-toggle').classList.toggle('active', mode === 'sessions');
+    document.querySelector('#myModal .multi-tree-toggle').classList.toggle('active', mode === 'multi');
+    restoreElements(cy);
+    currentlyHighlighted = null;
+
+    cy.elements().remove();
+    searchExpandedSwipes.clear();
+    cy.add(getDisplayedElements());
+    if (mode === 'messages') {
+        restoreViewState(cy);
+        applyNodeNotes(cy);
+    }
+    markActiveChat(cy);
+    refreshLayout(cy, false);
+    cy.fit();
+    if (extension_settings.timeline.showLegend) {
+        createLegend(cy);
+    }
+    updateSearchResults(cy, document.getElementById('transparent-search').value);
+}
+
+/**
+ * Opens the picker for the multi-tree view, listing all characters and groups. The current character or group
+ * and those shown last time are preselected.
+ */
+function openMultiTreePicker() {
+    const context = getContext();
+    const current = context.groupId ? context.groupId : context.characters[context.characterId]?.avatar;
+    const selected = new Set([current, ...multiTreeOwners.map(owner => owner.id)]);
+    const owners = [
+        ...context.characters.map(character => ({ type: 'character', id: character.avatar, name: character.name })),
+        ...context.groups.map(group => ({ type: 'group', id: group.id, name: group.name })),
+    ];
+
+    const list = document.getElementById('multiTreeList');
+    list.innerHTML = '';
+    owners.forEach(owner => {
+        let label = document.createElement('label');
+        label.classList.add('multi-tree-option');
+        let checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = selected.has(owner.id);
+        checkbox.owner = owner;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(owner.type === 'group' ? `${owner.name} (group)` : owner.name));
+        list.appendChild(label);
     });
+    document.getElementById('multiTreeFilter').value = '';
+    document.getElementById('multiTreePicker').classList.remove('hidden');
+}
 
+/**
+ * Shows the characters and groups checked in the picker in the multi-tree view.
+ */
+function onMultiTreeShowClick() {
+    const owners = [...document.querySelectorAll('#multiTreeList input:checked')].map(checkbox => checkbox.owner);
+    if (owners.length === 0) {
+        toastr.info('Pick at least one character or group');
+        return;
+    }
+    if (owners.length > MAX_MULTI_TREES) {
+        toastr.warning(`Up to ${MAX_MULTI_TREES} timelines can be shown at once`);
+        return;
+    }
+    document.getElementById('multiTreePicker').classList.add('hidden');
+    showMultiTree(owners);
+}
 
-    cy.on('mouseout', 'node', function (evt) {
-        let node = evt.target;
+/**
+ * Loads the timelines of several characters and groups and shows them side by side, each as its own tree.
+ * If loading is cancelled, the chats loaded so far are shown.
+ *
+ * @param {Array<Object>} owners - The characters and groups as `{ type, id, name }`.
+ * @returns {Promise<void>}
+ */
+async function showMultiTree(owners) {
+    if (multiTreeController) {
+        multiTreeController.abort();
+    }
+    const controller = new AbortController();
+    multiTreeController = controller;
 
-        // Clear the timeout if mouse is moved out before tooltip appears
-        if (showTimeout) {
-            clearTimeout(showTimeout);
+    let trees = [];
+    for (const owner of owners) {
+        if (controller.signal.aborted) {
+            break;
         }
+        const elements = await buildOwnerTimeline(owner, {
+            onProgress: (loaded, total) => updateLoadingProgress(loaded, total, false),
+            signal: controller.signal,
+            colorOptions: getBookmarkColorOptions(),
+        });
+        trees.push({ owner, elements });
+    }
+    updateLoadingProgress(0, 0, true);
+    // Superseded by another multi-tree view, or the timeline was closed
+    if (multiTreeController !== controller || !cyInstance) {
+        return;
+    }
+    multiTreeController = null;
 
-        if (node._tippy) {
-            node._tippy.hide();
-        }
+    trees = trees.filter(tree => tree.elements.length > 0);
+    multiTreeOwners = trees.map(tree => tree.owner);
+    multiTreeElements = buildMultiTreeElements(trees);
+    multiTreeModel = createGraphModel(multiTreeElements);
+    setViewMode(cyInstance, 'multi');
+}
+
+/**
+ * Opens the timeline a node of the multi-tree view belongs to, focused on that node.
+ *
+ * @param {Object} node - A node of the multi-tree view.
+ */
+function openTreeNode(node) {
+    const owner = multiTreeOwners[node.data('treeIndex')];
+    if (owner) {
+        openTimelineAt(owner, node.data('timelineNodeId'));
+    }
+}
+
+/**
+ * Opens the message graph at the point where a session diverges from the chat it was created from.
+ *
+ * @param {Object} cy - The Cytoscape instance of the rendered timeline.
+ * @param {Object} sessionNode - The tapped node of the sessions view.
+ */
+function jumpToDivergencePoint(cy, sessionNode) {
+    const nodeId = sessionNode.data('divergenceNodeId');
+    setViewMode(cy, 'messages');
+    const node = cy.getElementById(nodeId);
+    if (node.length === 0) {
+        return;
+    }
+    cy.elements().unselect();
+    node.select();
+    viewState.selectedNodeId = nodeId;
+    saveViewState();
+    cy.animate({
+        center: { eles: node },
+        zoom: Math.max(cy.zoom(), 1),
+        duration: 300,
     });
-    // if user_message_rendered or character_message_rendered, we null the lastContext
-    eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, () => {
-        lastContext = null;
-    },
-    );
-    eventSource.on(event_types.USER_MESSAGE_RENDERED, () => {
+}
+
+/**
+ * Checks whether two contexts show the same timeline, i.e. refer to the same character or group.
+ *
+ * @param {Object} a - A context as returned by `getContext()`.
+ * @param {Object} b - Another context as returned by `getContext()`.
+ * @returns {boolean} True if both contexts refer to the same character or group.
+ */
+function isSameTimelineContext(a, b) {
+    return a.characterId === b.characterId && a.groupId === b.groupId;
+}
+
+/**
+ * Event handler for changes to the active chat (new, swiped, edited or deleted messages, or a loaded chat).
+ * If the timeline of the same character or group has already been built, the change is queued
+ * for an incremental update. Otherwise, the timeline is marked for a full rebuild.
+ * A docked timeline is updated right away.
+ */
+function onActiveChatChanged() {
+    if (!lastContext || !isSameTimelineContext(lastContext, getContext())) {
         lastContext = null;
-    },
-    );
-    eventSource.on(event_types.CHATLOADED, () => {
+    } else {
+        pendingChatUpdate = true;
+    }
+    if (isDockedTimelineShown()) {
+        followActiveChatDebounced();
+    }
+}
+
+/**
+ * Checks whether the timeline is shown docked to the side of the chat.
+ *
+ * @returns {boolean} True if the timeline is open and docked.
+ */
+function isDockedTimelineShown() {
+    const modal = document.getElementById('myModal');
+    return Boolean(extension_settings.timeline.docked) && modal.style.display === 'block';
+}
+
+/**
+ * Brings the docked timeline up to date with the chat, switching to the timeline of another character
+ * or group if needed. Updates run one after the other, so a rebuild is never started over a running one.
+ */
+function followActiveChat() {
+    dockedUpdate = dockedUpdate.then(async () => {
+        const context = getContext();
+        // Nothing to show while no character or group is selected
+        if (!isDockedTimelineShown() || (context.characterId === undefined && !context.groupId)) {
+            return;
+        }
+        await updateShownTimeline();
+    }).catch(console.error);
+}
+
+/**
+ * Docks the timeline to the side of the chat, or shows it as an overlay again. A docked timeline
+ * stays open when navigating to a message and follows the chat as it changes.
+ *
+ * @param {boolean} docked - Whether to dock the timeline.
+ */
+function setTimelineDocked(docked) {
+    extension_settings.timeline.docked = docked;
+    saveSettingsDebounced();
+    applyDockedState();
+    if (cyInstance) {
+        cyInstance.resize();
+        centerOnActiveChat(cyInstance);
+    }
+    if (docked) {
+        followActiveChat();
+    }
+}
+
+/**
+ * Shows or hides the minimap and remembers the choice.
+ *
+ * @param {boolean} show - Whether to show the minimap.
+ */
+function setMinimapShown(show) {
+    extension_settings.timeline.showMinimap = show;
+    saveSettingsDebounced();
+    applyMinimapState();
+    if (show && cyInstance) {
+        drawMinimap(cyInstance, document.getElementById('minimap'));
+    }
+}
+
+/**
+ * Applies the minimap setting to the minimap and its toggle button.
+ */
+function applyMinimapState() {
+    const show = Boolean(extension_settings.timeline.showMinimap);
+    document.getElementById('minimap').classList.toggle('hidden', !show);
+    document.querySelector('#myModal .minimap-toggle').classList.toggle('active', show);
+}
+
+/**
+ * Applies the docked setting to the modal and its dock button.
+ */
+function applyDockedState() {
+    const docked = Boolean(extension_settings.timeline.docked);
+    document.getElementById('myModal').classList.toggle('docked', docked);
+    const dockBtn = document.querySelector('#myModal .dock-toggle');
+    dockBtn.classList.toggle('active', docked);
+    dockBtn.title = docked ? 'Show as overlay' : 'Dock to the side, to keep the timeline open while chatting';
+}
+
+/**
+ * Applies the current state of the active chat to the rendered timeline, adding, updating or removing only
+ * the nodes and edges of that chat session instead of refetching and rebuilding the whole timeline.
+ *
+ * @param {Object} cy - The Cytoscape instance of the rendered timeline.
+ * @returns {Promise<void>}
+ */
+async function applyActiveChatUpdate(cy) {
+    pendingChatUpdate = false;
+    const context = getContext();
+    if (!context.chatId) {
+        return;
+    }
+
+    const nodeData = await updateChatSession(getActiveChatFileName(), context.chat, context.chatMetadata);
+    if (!nodeData) {
         lastContext = null;
-    },
-    );
-    eventSource.on(event_types.MESSAGE_SWIPED, () => {
+        return;
+    }
+
+    applyTimelineUpdate(cy, nodeData);
+    console.log('Timeline data updated incrementally');
+}
+
+/**
+ * Applies an updated list of nodes and edges to the rendered timeline, touching only the elements that changed.
+ *
+ * @param {Object} cy - The Cytoscape instance of the rendered timeline.
+ * @param {Array<Object>} nodeData - The updated list of nodes and edges of the same timeline.
+ */
+function applyTimelineUpdate(cy, nodeData) {
+    setTimelineData(nodeData);
+    if (syncElements(cy, getDisplayedElements())) {
+        if (viewMode === 'messages') {
+            applyCollapsedNodes(cy);
+        }
+        refreshLayout(cy, false);
+        if (extension_settings.timeline.showLegend) {
+            createLegend(cy);
+        }
+        updateSearchResults(cy, document.getElementById('transparent-search').value);
+    }
+    markActiveChat(cy);
+    applyNodeNotes(cy);
+}
+
+/**
+ * Returns the file name of the active chat, the way chat sessions are named in the timeline.
+ *
+ * @returns {string|null} The chat file name, or null if no chat is open.
+ */
+function getActiveChatFileName() {
+    const context = getContext();
+    if (!context.chatId) {
+        return null;
+    }
+    // Group chat files are keyed by their ID, character chats by their file name
+    return context.groupId ? context.chatId : `${context.chatId}.jsonl`;
+}
+
+/**
+ * Finds the node of the last message of the active chat. The node IDs are followed along the messages
+ * of the open chat, so the result is right even if that chat is also part of other sessions.
+ *
+ * @returns {string|null} The node ID, or null if no message of the active chat is in the timeline.
+ */
+function getActiveMessageNodeId() {
+    const context = getContext();
+    if (!context.chatId || !timelineModel) {
+        return null;
+    }
+    let activeId = null;
+    let nodeId = 'root';
+    for (const message of context.chat) {
+        const text = normalizeMessageText(message);
+        if (text === null) {
+            continue;
+        }
+        nodeId = getMessageNodeId(nodeId, text);
+        if (!timelineModel.nodes.has(nodeId)) {
+            break; // The timeline hasn't caught up with the rest of the chat yet
+        }
+        activeId = nodeId;
+    }
+    return activeId;
+}
+
+/**
+ * Marks where the user is in the rendered timeline: the last message of the active chat gets the
+ * "You are here" marker, and the path from the root to it is emphasized. In the sessions view,
+ * the node of the active chat file and its origins are emphasized instead.
+ *
+ * @param {Object} cy - The Cytoscape instance of the rendered timeline.
+ * @returns {Object|null} The marked node, or null if the active chat is not in the timeline.
+ */
+function markActiveChat(cy) {
+    cy.elements('.active-path').removeClass('active-path');
+    cy.nodes('.current-message').removeClass('current-message');
+
+    let node;
+    if (viewMode === 'sessions') {
+        const fileName = getActiveChatFileName();
+        node = fileName ? cy.getElementById(getSessionNodeId(fileName)) : cy.collection();
+    } else {
+        const nodeId = getActiveMessageNodeId();
+        node = nodeId ? cy.getElementById(nodeId) : cy.collection();
+        node.addClass('current-message');
+    }
+    if (node.length === 0) {
+        return null;
+    }
+    // The graph is a tree, so the predecessors are exactly the path to the root
+    node.union(node.predecessors()).addClass('active-path');
+    return node;
+}
+
+/**
+ * Marks the active chat and centers the viewport on its last message.
+ *
+ * @param {Object} cy - The Cytoscape instance of the rendered timeline.
+ */
+function centerOnActiveChat(cy) {
+    const node = markActiveChat(cy);
+    if (!node) {
+        return;
+    }
+    cy.stop(true);
+    cy.animate({
+        center: { eles: node },
+        // Following the chat while docked must not undo the user's zoom
+        zoom: isDockedTimelineShown() ? cy.zoom() : Math.max(cy.zoom(), 1),
+        duration: 300,
+    });
+}
+
+/**
+ * Callback for `prepareData`, called when chats downloaded in the background have been merged into the timeline.
+ *
+ * @param {Array<Object>|null} nodeData - The updated list of nodes and edges, or null if the timeline was lost.
+ */
+function onChatsReconciled(nodeData) {
+    if (!nodeData) {
         lastContext = null;
-    },
-    );
+        return;
+    }
+    if (cyInstance) {
+        applyTimelineUpdate(cyInstance, nodeData);
+        console.log('Timeline data reconciled with the server');
+    } else {
+        setTimelineData(nodeData);
+    }
 }
 
 /**
@@ -943,8 +2772,27 @@ function setupEventHandlers(cy, nodeData) {
  * @param {Object} nodeData - The data used to render the nodes and edges of the Cytoscape diagram.
  */
 function renderCytoscapeDiagram(nodeData) {
+    if (contextMenu) {
+        contextMenu.destroy();
+        contextMenu = null;
+    }
+    if (cyInstance) {
+        cyInstance.destroy();
+    }
+    closeNoteEditor();
     const styles = setupStylesAndData(nodeData);
-    const cy = initializeCytoscape(nodeData, styles);
+    loadViewState();
+    loadNodeNotes();
+    // A new timeline always opens on the message graph
+    viewMode = 'messages';
+    searchExpandedSwipes.clear();
+    unfoldedNodeIds.clear();
+    searchUnfoldedNodeIds.clear();
+    document.querySelector('#myModal .sessions-toggle').classList.remove('active');
+    document.querySelector('#myModal .multi-tree-toggle').classList.remove('active');
+    document.getElementById('multiTreePicker').classList.add('hidden');
+    const cy = initializeCytoscape(getDisplayedElements(), styles);
+    cyInstance = cy;
 
     if (cy) {
         setupEventHandlers(cy, nodeData);
@@ -961,8 +2809,28 @@ function renderCytoscapeDiagram(nodeData) {
  */
 async function updateTimelineDataIfNeeded() {
     const context = getContext();
-    if (!lastContext || lastContext.characterId !== context.characterId) {
+    if (!lastContext || !isSameTimelineContext(lastContext, context)) {
         let data = {};
+        pendingChatUpdate = false;
+
+        // Cancel the downloads of a timeline that is still loading
+        if (loadController) {
+            loadController.abort();
+        }
+        loadController = new AbortController();
+        const signal = loadController.signal;
+        const loadOptions = {
+            onReconciled: onChatsReconciled,
+            onProgress: (loaded, total, finished) => {
+                // Cancelled while the missing chats were loaded in the background, so rebuild on the next open
+                if (finished && signal.aborted && lastContext === context) {
+                    lastContext = null;
+                }
+                updateLoadingProgress(loaded, total, finished);
+            },
+            signal,
+            colorOptions: getBookmarkColorOptions(),
+        };
 
         if (!context.characterId) {
             let groupID = context.groupId;
@@ -974,33 +2842,46 @@ async function updateTimelineDataIfNeeded() {
                     console.log(group.chats[i]);
                     data[i] = { 'file_name': group.chats[i] };
                 }
-                lastTimelineData = await prepareData(data, true);
+                setTimelineData(await prepareData(data, true, loadOptions));
             }
         }
         else {
             data = await fetchData(context.characters[context.characterId].avatar);
-            lastTimelineData = await prepareData(data);
+            setTimelineData(await prepareData(data, false, loadOptions));
         }
 
-        lastContext = context; // Update the lastContext to the current context
+        // A cancelled load only shows part of the chats, so it is not reused
+        if (!signal.aborted) {
+            lastContext = context; // Update the lastContext to the current context
+        }
         console.log('Timeline data updated');
-        layout = {
-            name: 'dagre',
-            nodeDimensionsIncludeLabels: true,
-            nodeSep: extension_settings.timeline.nodeSeparation,
-            edgeSep: extension_settings.timeline.edgeSeparation,
-            rankSep: extension_settings.timeline.rankSeparation,
-            rankDir: 'LR',  // Left to Right
-            ranker: 'network-simplex',  // 'network-simplex', 'tight-tree' or 'longest-path
-            spacingFactor: extension_settings.timeline.spacingFactor,
-            acyclicer: 'greedy',
-            align: extension_settings.timeline.align,
-        };
+        const orientation = extension_settings.timeline.graphOrientation;
+        layout = buildLayoutOptions(extension_settings.timeline, orientation === 'auto' ? 'LR' : orientation);
         return true; // Data was updated
     }
     return false; // No update occurred
 }
 
+/**
+ * Shows the progress of loading chats in the modal, or hides it once loading is finished.
+ *
+ * @param {number} loaded - The number of chats loaded so far.
+ * @param {number} total - The total number of chats.
+ * @param {boolean} finished - Whether loading is over, either completed or cancelled.
+ */
+function updateLoadingProgress(loaded, total, finished) {
+    const progressDiv = document.getElementById('loadingProgress');
+    if (finished || loaded >= total) {
+        progressDiv.classList.add('hidden');
+        return;
+    }
+    document.getElementById('loadingProgressText').textContent = `${loaded} / ${total} chats loaded`;
+    const progressBar = document.getElementById('loadingProgressBar');
+    progressBar.max = total;
+    progressBar.value = loaded;
+    progressDiv.classList.remove('hidden');
+}
+
 /**
  * Handler function that is called when the timeline button is clicked.
  * This function checks if the timeline data needs to be updated, handles modal display,
@@ -1009,13 +2890,35 @@ async function updateTimelineDataIfNeeded() {
  * @returns {Promise<void>}
  */
 async function onTimelineButtonClick() {
-    const dataUpdated = await updateTimelineDataIfNeeded();
+    // Show the modal first, so the loading progress is visible
+    applyDockedState();
+    applyMinimapState();
+    applyCompactState();
     handleModalDisplay();
+    await updateShownTimeline();
+    closeOpenDrawers();
+    document.getElementById('transparent-search').focus();
+}
+
+/**
+ * Brings the shown timeline up to date: builds the timeline of the current character or group if another one
+ * was shown, otherwise applies the pending changes to the active chat, and centers on the active chat.
+ *
+ * @returns {Promise<void>}
+ */
+async function updateShownTimeline() {
+    const dataUpdated = await updateTimelineDataIfNeeded();
     if (dataUpdated) {
+        // Centers on the active chat once rendered
         renderCytoscapeDiagram(lastTimelineData);
+    } else if (cyInstance) {
+        if (pendingChatUpdate) {
+            await applyActiveChatUpdate(cyInstance);
+        }
+        if (!pendingFocusNodeId) {
+            centerOnActiveChat(cyInstance);
+        }
     }
-    closeOpenDrawers();
-    document.getElementById('transparent-search').focus();
 }
 
 /**
@@ -1043,8 +2946,48 @@ jQuery(async () => {
     const settingsHtml = await $.get(`${extensionFolderPath}/timeline.html`);
     $('#extensions_settings').append(settingsHtml);
     $('#show_timeline_view').on('click', onTimelineButtonClick);
+    $('#loadingProgressCancel').on('click', () => {
+        loadController && loadController.abort();
+        multiTreeController && multiTreeController.abort();
+    });
+    $('#globalSearchToggle').on('click', () => setGlobalSearchMode(!globalSearchMode));
+    $('#myModal .dock-toggle').on('click', () => setTimelineDocked(!extension_settings.timeline.docked));
+    $('#myModal .multi-tree-toggle').on('click', () => {
+        if (!cyInstance) {
+            return;
+        }
+        if (viewMode === 'multi') {
+            setViewMode(cyInstance, 'messages');
+        } else if (document.getElementById('multiTreePicker').classList.contains('hidden')) {
+            openMultiTreePicker();
+        } else {
+            document.getElementById('multiTreePicker').classList.add('hidden');
+        }
+    });
+    $('#multiTreeShow').on('click', onMultiTreeShowClick);
+    $('#nodeNoteSave').on('click', saveNodeNote);
+    $('#nodeNoteCancel').on('click', closeNoteEditor);
+    $('#multiTreeCancel').on('click', () => $('#multiTreePicker').addClass('hidden'));
+    $('#multiTreeFilter').on('input', function () {
+        const filter = String($(this).val()).toLowerCase();
+        $('#multiTreeList .multi-tree-option').each(function () {
+            $(this).toggle($(this).text().toLowerCase().includes(filter));
+        });
+    });
+    $('#myModal .minimap-toggle').on('click', () => setMinimapShown(!extension_settings.timeline.showMinimap));
+    $('#myModal .compact-toggle').on('click', () => setCompactChains(!extension_settings.timeline.compactChains));
     registerSlashCommand('tl', slashCommandHandler, [], '/tl Show the timeline, "/tl r" to reload the graph', false, true);
 
+    // Changes to the active chat are applied incrementally the next time the timeline is shown,
+    // or right away while it is docked
+    eventSource.on(event_types.CHAT_CHANGED, onActiveChatChanged);
+    eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, onActiveChatChanged);
+    eventSource.on(event_types.USER_MESSAGE_RENDERED, onActiveChatChanged);
+    eventSource.on(event_types.CHATLOADED, onActiveChatChanged);
+    eventSource.on(event_types.MESSAGE_SWIPED, onActiveChatChanged);
+    eventSource.on(event_types.MESSAGE_EDITED, onActiveChatChanged);
+    eventSource.on(event_types.MESSAGE_DELETED, onActiveChatChanged);
+
 
 
     // Bind listeners to the specific inputs
@@ -1057,6 +3000,8 @@ jQuery(async () => {
         'tl_spacing_factor': 'spacingFactor',
         'tl_tooltip_fixed': 'fixedTooltip',
         'tl_align': 'align',
+        'tl_layout_algorithm': 'layoutAlgorithm',
+        'tl_graph_orientation': 'graphOrientation',
         'tl_node_shape': 'nodeShape',
         'tl_curve_style': 'curveStyle',
         'tl_swipe_scale': 'swipeScale',
@@ -1064,6 +3009,12 @@ jQuery(async () => {
         'tl_show_legend': 'showLegend',
         'tl_use_chat_colors': 'useChatColors',
         'tl_lock_nodes': 'lockNodes',
+        'tl_bookmark_palette': 'bookmarkPalette',
+        'tl_bookmark_min_contrast': 'bookmarkMinContrast',
+        'tl_edge_label_swipes': 'edgeLabelSwipes',
+        'tl_edge_label_sessions': 'edgeLabelSessions',
+        'tl_edge_label_time': 'edgeLabelTime',
+        'tl_edge_label_min_zoom': 'edgeLabelMinZoom',
         'bookmark-color-picker': 'bookmarkColor',
         'edge-color-picker': 'edgeColor',
         'user-node-color-picker': 'userNodeColor',
@@ -1081,6 +3032,8 @@ jQuery(async () => {
             });
         }
     }
+    // Bound after the listener above, so the new layout is already in the settings
+    $('#tl_layout_algorithm').on('input', applyLayoutState);
 
 
     $(document).ready(function () {
@@ -1129,7 +3082,7 @@ function onInputChange(element, settingName, rgbaValue = null) {
 
     // Only update the label if the value is numeric
     if (!isNaN(value)) {
-        $(`#${element.attr('id')}_value`).text(Math.round(value));
+        $(`#${element.attr('id')}_value`).text(Math.round(value * 10) / 10);
     }
     lastContext = null; // Invalidate the last context to force a data update
     saveSettingsDebounced();
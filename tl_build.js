@@ -0,0 +1,535 @@
+// Builds the timeline graph from chat histories. This module has no dependencies on SillyTavern,
+// so that it can run inside the timeline worker (see tl_worker.js) as well as on the main thread.
+import { createGraphModel } from './tl_model.js';
+import { BOOKMARK_PALETTES, pickBookmarkColor } from './tl_colors.js';
+
+// The chat trie of the currently displayed timeline. It is kept around so that changes to a single
+// chat session can be applied without refetching and rebuilding every chat.
+let chatTrie = null;
+let bookmarkColorOptions = { palette: BOOKMARK_PALETTES.default }; // See `pickBookmarkColor`
+let sessionPaths = new Map(); // file name -> trie nodes along that session, in message order
+let sessionMetadata = {}; // file name -> header metadata of that session, see `prepareData` in tl_node_data.js
+
+/**
+ * Builds a prefix trie over all chat sessions. Every trie node stands for one message together with
+ * its whole ancestry: two messages from different chat files end up in the same trie node only if
+ * their content matches and all of their preceding messages matched as well. Chats that diverge and
+ * later happen to contain the same text (e.g. a stock "*nods*") therefore stay on separate branches.
+ *
+ * The trie replaces the one of the previously built timeline.
+ *
+ * @param {Object} channelHistory - An object where keys are file names and values are arrays of chat messages.
+ * @returns {Object} root - The root trie node. Each trie node has the form
+ *                          `{ id, text, group, children, parent }`, where `id` is the graph node ID (see
+ *                          `getMessageNodeId`), `group` lists the `{ file_name, index, message }` objects merged
+ *                          into the node and `children` maps message content to child trie nodes.
+ */
+function buildChatTrie(channelHistory) {
+    chatTrie = createTrieNode(null, null);
+    sessionPaths = new Map();
+
+    for (const [file_name, messages] of Object.entries(channelHistory)) {
+        insertChatSession(file_name, messages);
+    }
+
+    return chatTrie;
+}
+
+/**
+ * Adds the messages of one chat session to the trie, merging them into existing trie nodes
+ * for as long as the ancestry matches.
+ *
+ * @param {string} file_name - The chat file name.
+ * @param {Array} messages - The chat messages of the session, in order.
+ */
+function insertChatSession(file_name, messages) {
+    let current = chatTrie;
+    let path = [];
+    messages.forEach((message, index) => {
+        let text = normalizeMessageText(message);
+        if (text === null) {
+            return;
+        }
+        let child = current.children.get(text);
+        if (!child) {
+            child = createTrieNode(text, current);
+            current.children.set(text, child);
+        }
+        child.group.push({ file_name, index, message });
+        path.push(child);
+        current = child;
+    });
+    sessionPaths.set(file_name, path);
+}
+
+/**
+ * Removes the messages of one chat session from the trie. Trie nodes that no longer belong
+ * to any session are pruned.
+ *
+ * @param {string} file_name - The chat file name.
+ */
+function removeChatSession(file_name) {
+    let path = sessionPaths.get(file_name);
+    if (!path) {
+        return;
+    }
+    // Walk from the leaf up, so that emptied children are detached before their parents
+    for (let i = path.length - 1; i >= 0; i--) {
+        let trieNode = path[i];
+        trieNode.group = trieNode.group.filter(messageObj => messageObj.file_name !== file_name);
+        if (trieNode.group.length === 0 && trieNode.children.size === 0) {
+            trieNode.parent.children.delete(trieNode.text);
+        }
+    }
+    sessionPaths.delete(file_name);
+}
+
+/**
+ * Replaces the messages of one chat session in the trie, or adds the session if it is new.
+ *
+ * @param {string} file_name - The chat file name.
+ * @param {Array} messages - The current messages of the session. They are copied, so later changes to the
+ *                           live chat don't leak into the trie.
+ */
+function replaceChatSession(file_name, messages) {
+    removeChatSession(file_name);
+    insertChatSession(file_name, structuredClone(messages));
+}
+
+/**
+ * Creates an empty trie node for the given message content.
+ *
+ * @param {string|null} text - The normalized message content, or null for the root.
+ * @param {Object|null} parent - The parent trie node, or null for the root.
+ * @returns {Object} A trie node with an empty group and no children.
+ */
+function createTrieNode(text, parent) {
+    return {
+        id: parent ? getMessageNodeId(parent.id, text) : 'root',
+        text,
+        group: [],
+        children: new Map(),
+        parent,
+    };
+}
+
+/**
+ * Computes a 53-bit hash of a string (cyrb53). Not cryptographic, but fast, synchronous and well distributed,
+ * which is what stable node IDs and colors need.
+ *
+ * @param {string} str - The string to hash.
+ * @returns {number} The hash, a non-negative integer below 2^53.
+ */
+function hashNumber(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * Computes a 53-bit hash of a string, see `hashNumber`.
+ *
+ * @param {string} str - The string to hash.
+ * @returns {string} The hash in base 36.
+ */
+function hashString(str) {
+    return hashNumber(str).toString(36);
+}
+
+/**
+ * Returns the ID of the graph node of a message. The ID is derived from the ID of the parent node and the
+ * message content, so it encodes the whole ancestry of the message and stays the same across rebuilds,
+ * regardless of which chat files are loaded or in what order.
+ *
+ * @param {string} parentNodeId - The ID of the parent node ('root' for the first message).
+ * @param {string} text - The normalized message content, see `normalizeMessageText`.
+ * @returns {string} The node ID.
+ */
+export function getMessageNodeId(parentNodeId, text) {
+    return `message-${hashString(`${parentNodeId}\u0000${text}`)}`;
+}
+
+/**
+ * Returns the message content used as the merge key, with system agnostic newlines.
+ *
+ * @param {Object} message - A chat message object.
+ * @returns {string|null} The normalized content, or null if the message has no usable content.
+ */
+export function normalizeMessageText(message) {
+    try {
+        return message.mes.replace(/\r\n/g, '\n');
+    } catch (e) {
+        console.log(`Message Grouping Error: ${e}: ${JSON.stringify(message, null, 4)}`);
+        return null;
+    }
+}
+
+/**
+ * Constructs nodes and associated edges from the chat trie built by `buildChatTrie`.
+ * Every trie node becomes one graph node connected to the node of its parent message, and the edges
+ * represent the message order. The function also handles special nodes, such as swipes, and ensures
+ * they are properly connected in the graph.
+ *
+ * @param {Object} trieRoot - The root trie node returned by `buildChatTrie`.
+ * @returns {Array} cyElements - A list of node and edge objects suitable for the Cytoscape graph library.
+ *
+ * Behavior:
+ * 1. Initializes a root node.
+ * 2. Walks the trie breadth-first, so nodes are emitted in order of their message index.
+ * 3. For each trie node, constructs a node and an edge to its parent's node.
+ * 4. Handles special nodes, such as swipes, and ensures they are properly added.
+ * 5. Returns the full list of constructed nodes and edges.
+ */
+function buildNodes(trieRoot) {
+    let cyElements = [];
+    let parentSwipeData = {};
+
+    // Initialize root node
+    cyElements.push({
+        group: 'nodes',
+        data: {
+            id: 'root',
+            label: 'root',
+            x: 0,
+            y: 0,
+        },
+    });
+
+    const branchPoints = findBranchPoints();
+    let queue = [...trieRoot.children.values()].map(trieNode => ({ trieNode, parentNodeId: 'root' }));
+
+    for (let i = 0; i < queue.length; i++) {
+        const { trieNode, parentNodeId } = queue[i];
+        const { id: nodeId, text, group } = trieNode;
+        const hash = nodeId.slice('message-'.length);
+
+        let node = createNode(nodeId, parentNodeId, text, group, branchPoints.get(trieNode));
+
+        // If it's not the first node, extract swipes and store node and edge data for the parent node
+        if (group[0].index !== 0) {
+            let allSwipes = [];
+            group.forEach(messageObj => {
+                const swipes = messageObj.message.swipes || [];
+                allSwipes.push(...swipes);
+            });
+
+            // Deduplicating swipes and filtering out swipes with same content as the message
+            let uniqueSwipes = [...new Set(allSwipes)].filter(swipeText => swipeText !== text);
+
+            if (!parentSwipeData[parentNodeId]) {
+                parentSwipeData[parentNodeId] = {
+                    storedSwipes: [],
+                    totalSwipes: 0,
+                    currentSwipeIndex: uniqueSwipes.indexOf(text),
+                };
+            }
+
+            parentSwipeData[parentNodeId].totalSwipes += uniqueSwipes.length;
+
+            // Store node and edge data for each swipe in parentSwipeData
+            uniqueSwipes.forEach(swipeText => {
+                let swipeHash = hashString(`${nodeId}\u0000${swipeText}`);
+                let swipeNodeId = `swipe-${swipeHash}`;
+                let swipeIndex = allSwipes.indexOf(swipeText);  // Fetching the index of the swipe from the original swipes list
+                let swipeNode = {
+                    ...node,
+                    id: swipeNodeId,
+                    msg: swipeText,
+                    isSwipe: true,
+                    swipeId: swipeIndex,  // Storing the index as swipeId in the node data
+                };
+                delete swipeNode.swipes;
+
+                let swipeEdge = {
+                    id: `edgeSwipe-${swipeHash}`,
+                    source: parentNodeId,
+                    target: swipeNodeId,
+                    isSwipe: true,
+                    swipeId: swipeIndex,  // Storing the index as swipeId in the edge data
+                };
+
+                parentSwipeData[parentNodeId].storedSwipes.push({ node: swipeNode, edge: swipeEdge });
+            });
+        }
+
+        cyElements.push({
+            group: 'nodes',
+            data: node,
+        });
+
+        // Create edge for this node
+        cyElements.push({
+            group: 'edges',
+            data: {
+                id: `edge-${hash}`,
+                source: parentNodeId,
+                target: nodeId,
+            },
+        });
+
+        trieNode.children.forEach(child => queue.push({ trieNode: child, parentNodeId: nodeId }));
+    }
+
+    // Update cyElements with data from parentSwipeData
+    cyElements.forEach(element => {
+        if (element.group === 'nodes' && parentSwipeData[element.data.id]) {
+            Object.assign(element.data, parentSwipeData[element.data.id]);
+        }
+    });
+
+    return cyElements;
+}
+
+/**
+ * Finds where each branched chat diverges from the chat it was branched from. A session's `main_chat`
+ * metadata names its origin; the branch point is the last message the session still shares with that chat.
+ *
+ * @returns {Map<Object, Array<string>>} Trie node -> file names of the sessions branched off at that node.
+ */
+function findBranchPoints() {
+    let branchPoints = new Map();
+    sessionPaths.forEach((path, file_name) => {
+        const mainChat = sessionMetadata[file_name]?.main_chat;
+        if (!mainChat) {
+            return;
+        }
+        // Individual chats are keyed by file name, group chats by their ID
+        const mainFile = [`${mainChat}.jsonl`, mainChat].find(name => sessionPaths.has(name));
+        if (!mainFile || mainFile === file_name) {
+            return;
+        }
+        let branchPoint = null;
+        for (const trieNode of path) {
+            if (!trieNode.group.some(messageObj => messageObj.file_name === mainFile)) {
+                break;
+            }
+            branchPoint = trieNode;
+        }
+        if (branchPoint) {
+            if (!branchPoints.has(branchPoint)) {
+                branchPoints.set(branchPoint, []);
+            }
+            branchPoints.get(branchPoint).push(file_name);
+        }
+    });
+    return branchPoints;
+}
+
+/**
+ * Constructs a Cytoscape node object based on provided message details.
+ * The function identifies special messages, such as bookmarks, and adjusts the node
+ * properties accordingly. The returned node contains properties that help render and
+ * differentiate it within the Cytoscape graph, such as color for bookmarks.
+ *
+ * @param {string} nodeId - The unique ID to assign to the node.
+ * @param {string} parentNodeId - The ID of the node from which this node originates (previous message).
+ * @param {string} text - The message content.
+ * @param {Array} group - A list of message objects that share the same content and ancestry across chat files.
+ * @param {Array<string>} [branches] - The file names of the sessions that were branched off at this message.
+ * @returns {Object} - A Cytoscape node object with properties set based on the message details.
+ *
+ * Behavior:
+ * 1. Checks if any message in the group is a bookmark, or if a session branched off here, and extracts relevant details.
+ * 2. Determines node properties, such as color for bookmarks, based on the message details.
+ * 3. Constructs and returns the node object.
+ */
+function createNode(nodeId, parentNodeId, text, group, branches = []) {
+    let bookmark = group.find(({ message }) => {
+        // Check if the message is from the system and if it indicates a bookmark
+        if (message.is_system && message.mes.includes('Bookmark created! Click here to open the bookmark chat')) return true;
+
+        // Original bookmark case
+        return !!message.extra && !!message.extra.bookmark_link;
+    });
+
+    let isBookmark = Boolean(bookmark) || branches.length > 0;
+
+    // Extract bookmarkName and fileNameForNode depending on bookmark type
+    let bookmarkName, fileNameForNode;
+    if (bookmark) {
+        if (bookmark.message.extra && bookmark.message.extra.bookmark_link) {
+            bookmarkName = bookmark.message.extra.bookmark_link;
+            fileNameForNode = bookmark.file_name;
+        } else {
+            // Extract file_name from the anchor tag in 'mes'
+            let match = bookmark.message.mes.match(/file_name=\"(.*?)\"/);
+            bookmarkName = match ? match[1] : null;
+            fileNameForNode = bookmarkName;
+        }
+    } else if (branches.length > 0) {
+        // A branch recorded only in the chat metadata, e.g. one whose bookmark message was deleted
+        bookmarkName = branches[0].replace('.jsonl', '');
+        fileNameForNode = branches[0];
+    } else {
+        fileNameForNode = group[0].file_name;
+    }
+
+
+    let { is_name, is_user, name, send_date, is_system } = group[0].message;  // Added is_system here
+
+    return {
+        id: nodeId,
+        msg: text,
+        isBookmark: isBookmark,
+        bookmarkName: bookmarkName,
+        file_name: fileNameForNode,
+        is_name: is_name,
+        is_user: is_user,
+        is_system: is_system,  // Added is_system to node properties
+        name: name,
+        send_date: send_date,
+        messageIndex: group[0].index,
+        color: isBookmark ? getBookmarkColor(bookmarkName || fileNameForNode) : null,
+        chat_sessions: group.map(({ file_name }) => file_name),
+        chat_sessions_str: ';' + group.map(({ file_name }) => file_name).join(';') + ';',
+        branchSessions: branches,
+    };
+}
+
+/**
+ * Postprocesses the constructed nodes. Currently this marks the paths leading to bookmarks,
+ * see `highlightBookmarkPaths`.
+ *
+ * @param {Array} nodeData - A list of node objects constructed by the buildNodes function.
+ * @returns {Array} nodeData - The potentially modified list of node objects.
+ */
+function postprocessNodes(nodeData) {
+    highlightBookmarkPaths(nodeData);
+    return nodeData;
+}
+
+/**
+ * Marks the paths from every bookmark node to the root (or to the previous bookmark) in the node data,
+ * so that the edges along them are drawn in the bookmark's color.
+ *
+ * @param {Array} nodeData - A list of node and edge objects constructed by the buildNodes function.
+ */
+function highlightBookmarkPaths(nodeData) {
+    let model = createGraphModel(nodeData);
+    model.nodes.forEach(node => {
+        if (node.isBookmark && !node.isSwipe) {
+            highlightPathToRoot(model, node);
+        }
+    });
+}
+
+/**
+ * Highlights the path from a specified bookmark node to the root in a data structure representing a graph.
+ * The function iteratively traces and highlights edges and nodes, adjusting visual attributes like color, thickness, and zIndex.
+ *
+ * @param {Object} model - The graph model of the node data, see `createGraphModel`.
+ * @param {Object} bookmarkNode - The data of the bookmark node to start highlighting from.
+ * @param {number} currentHighlightThickness - The starting thickness for highlighting edges (default is 4).
+ * @param {number} startingZIndex - The starting zIndex for nodes and edges to be highlighted (default is 1000).
+ */
+function highlightPathToRoot(model, bookmarkNode, currentHighlightThickness = 4, startingZIndex = 1000) {
+    let currentNode = bookmarkNode;
+    let currentZIndex = startingZIndex;
+    while (currentNode) {
+        // If the current node has the isBookmark attribute and it's not the initial bookmarkNode, stop highlighting
+        if (currentNode !== bookmarkNode && currentNode.isBookmark) {
+            break; // exit from the while loop
+        }
+
+        let incomingEdge = model.edges.get(model.incomingEdges.get(currentNode.id));
+
+        if (incomingEdge) {
+            incomingEdge.isHighlight = true;
+            incomingEdge.color = bookmarkNode.color;
+            incomingEdge.bookmarkName = bookmarkNode.bookmarkName;
+            incomingEdge.highlightThickness = currentHighlightThickness;
+
+            // Set the zIndex of the incomingEdge
+            incomingEdge.zIndex = currentZIndex;
+            currentNode.borderColor = incomingEdge.color;
+            currentZIndex++; // Increase the zIndex for the next edge in the path
+
+            currentHighlightThickness = Math.min(currentHighlightThickness + 0.1, 6);
+            currentNode = model.nodes.get(incomingEdge.source);
+        } else {
+            currentNode = null;
+        }
+    }
+}
+
+/**
+ * Converts a given chat history into elements suitable for visualization in Cytoscape.
+ * This function orchestrates the entire process, from building the chat trie to postprocessing nodes.
+ *
+ * @param {Object} chatHistory - An object containing chat files as keys and their message sequences as values.
+ * @param {Object} [colorOptions] - The palette and contrast options for bookmark path colors, see `pickBookmarkColor`.
+ *                                  They also apply to later incremental updates.
+ * @param {Object} [metadata] - The header metadata of the chat files by file name. Sessions with a `main_chat`
+ *                              are marked as branches of that chat.
+ * @returns {Array} nodeData - A list of node (and potentially edge) objects suitable for Cytoscape graph library.
+ */
+export function convertToCytoscapeElements(chatHistory, colorOptions = null, metadata = {}) {
+    if (colorOptions) {
+        bookmarkColorOptions = colorOptions;
+    }
+    sessionMetadata = { ...metadata };
+    let trieRoot = buildChatTrie(chatHistory);
+    let nodeData = buildNodes(trieRoot);
+    nodeData = postprocessNodes(nodeData);
+    return nodeData;
+}
+
+/**
+ * Converts a chat history into Cytoscape elements like `convertToCytoscapeElements`, but without replacing
+ * the current timeline, e.g. for timelines of other characters shown side by side. Later incremental updates
+ * still apply to the current timeline.
+ *
+ * @param {Object} chatHistory - An object containing chat files as keys and their message sequences as values.
+ * @param {Object} [colorOptions] - The palette and contrast options for bookmark path colors, for this build only.
+ * @param {Object} [metadata] - The header metadata of the chat files by file name.
+ * @returns {Array} A list of node and edge objects suitable for Cytoscape graph library.
+ */
+export function convertDetachedElements(chatHistory, colorOptions = null, metadata = {}) {
+    const saved = { chatTrie, sessionPaths, sessionMetadata, bookmarkColorOptions };
+    try {
+        return convertToCytoscapeElements(chatHistory, colorOptions, metadata);
+    } finally {
+        ({ chatTrie, sessionPaths, sessionMetadata, bookmarkColorOptions } = saved);
+    }
+}
+
+/**
+ * Replaces the messages of some chat sessions in the current timeline and returns the updated elements.
+ * Only the trie nodes along those sessions are touched; all other nodes keep their IDs, so the result can be
+ * applied to an existing Cytoscape instance by diffing.
+ *
+ * @param {Object} chatHistory - An object with the changed chat files as keys and their current messages as values.
+ *                               Sessions not in the timeline yet are added.
+ * @param {Object} [metadata] - The current header metadata of the changed chat files by file name.
+ * @returns {Array|null} The updated list of node and edge objects, or null if no timeline has been built yet.
+ */
+export function updateChatSessions(chatHistory, metadata = {}) {
+    if (!chatTrie) {
+        return null;
+    }
+    Object.assign(sessionMetadata, metadata);
+    for (const [file_name, messages] of Object.entries(chatHistory)) {
+        replaceChatSession(file_name, messages);
+    }
+    let nodeData = buildNodes(chatTrie);
+    nodeData = postprocessNodes(nodeData);
+    return nodeData;
+}
+
+/**
+ * Returns the path color of a bookmark. The color is picked from the configured palette, seeded by the
+ * bookmark name, so a bookmark keeps its color whenever the timeline is rebuilt.
+ *
+ * @param {string} bookmarkName - The file name of the bookmark chat.
+ * @returns {string} The color in the format "rgb(r, g, b)".
+ */
+function getBookmarkColor(bookmarkName) {
+    return pickBookmarkColor(hashNumber(String(bookmarkName)), bookmarkColorOptions);
+}
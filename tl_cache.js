@@ -0,0 +1,180 @@
+const DB_NAME = 'SillyTavern-Timelines';
+const DB_VERSION = 2;
+const STORE_NAME = 'chats';
+const CACHED_AT_INDEX = 'cached_at';
+const MAX_ENTRY_AGE = 30 * 24 * 60 * 60 * 1000; // Entries not stored again for 30 days are dropped
+const MAX_ENTRIES = 2000; // Beyond this, the entries stored longest ago are dropped
+
+let dbPromise = null;
+
+/**
+ * Opens (and if needed, creates) the IndexedDB database holding the cached chats.
+ * The connection is opened once and shared between calls, and old entries are evicted once it is open.
+ *
+ * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is not available.
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                // Entries of version 1 have no storage date, so they are dropped with their store
+                if (event.oldVersion >= 1) {
+                    db.deleteObjectStore(STORE_NAME);
+                }
+                db.createObjectStore(STORE_NAME).createIndex(CACHED_AT_INDEX, 'cached_at');
+            };
+            request.onsuccess = () => {
+                resolve(request.result);
+                evictCachedChats();
+            };
+            request.onerror = () => {
+                console.warn('Timeline chat cache unavailable:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs a single request against the chat store and resolves with its result.
+ * Errors are logged and resolve to undefined, so a broken cache never blocks the timeline.
+ *
+ * @param {IDBTransactionMode} mode - The transaction mode, 'readonly' or 'readwrite'.
+ * @param {Function} makeRequest - Receives the object store and returns an IDBRequest.
+ * @returns {Promise<*>} The result of the request.
+ */
+async function runRequest(mode, makeRequest) {
+    const db = await openDatabase();
+    if (!db) {
+        return undefined;
+    }
+    return new Promise((resolve) => {
+        try {
+            const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Timeline chat cache request failed:', request.error);
+                resolve(undefined);
+            };
+        } catch (error) {
+            console.warn('Timeline chat cache request failed:', error);
+            resolve(undefined);
+        }
+    });
+}
+
+/**
+ * Deletes entries from the chat store in a single transaction.
+ * Errors are logged, like in `runRequest`.
+ *
+ * @param {Array<string>} keys - The cache keys to delete.
+ * @returns {Promise<void>} Resolves once the entries are deleted.
+ */
+async function deleteEntries(keys) {
+    const db = await openDatabase();
+    if (!db || keys.length === 0) {
+        return;
+    }
+    return new Promise((resolve) => {
+        try {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            keys.forEach(key => store.delete(key));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.warn('Timeline chat cache cleanup failed:', transaction.error);
+                resolve();
+            };
+        } catch (error) {
+            console.warn('Timeline chat cache cleanup failed:', error);
+            resolve();
+        }
+    });
+}
+
+/**
+ * Keeps the chat store bounded: drops the entries stored more than `MAX_ENTRY_AGE` ago, and then
+ * the ones stored longest ago while there are more than `MAX_ENTRIES`.
+ *
+ * @returns {Promise<void>}
+ */
+async function evictCachedChats() {
+    const expired = await runRequest('readonly', store => store.index(CACHED_AT_INDEX).getAllKeys(IDBKeyRange.upperBound(Date.now() - MAX_ENTRY_AGE))) || [];
+    await deleteEntries(expired);
+    const count = await runRequest('readonly', store => store.count()) || 0;
+    if (count > MAX_ENTRIES) {
+        // The index lists the keys from the oldest entry on
+        const oldest = await runRequest('readonly', store => store.index(CACHED_AT_INDEX).getAllKeys(null, count - MAX_ENTRIES)) || [];
+        await deleteEntries(oldest);
+    }
+}
+
+/**
+ * Builds the cache key of a chat file.
+ *
+ * @param {string} owner - The avatar file name of the character, or the group ID for group chats.
+ * @param {string} file_name - The chat file name.
+ * @returns {string} The cache key.
+ */
+export function getChatCacheKey(owner, file_name) {
+    return `${owner}/${file_name}`;
+}
+
+/**
+ * Reads a cached chat.
+ *
+ * @param {string} key - The cache key, see `getChatCacheKey`.
+ * @returns {Promise<Object|undefined>} The cache entry `{ file_size, last_mes, chat }`, or undefined if not cached.
+ */
+export function getCachedChat(key) {
+    return runRequest('readonly', store => store.get(key));
+}
+
+/**
+ * Stores a chat in the cache, replacing any previous entry. The entry is stamped with the storage date.
+ *
+ * @param {string} key - The cache key, see `getChatCacheKey`.
+ * @param {Object} entry - The cache entry `{ file_size, last_mes, chat }`, where `chat` is the parsed chat file.
+ * @returns {Promise<void>}
+ */
+export async function putCachedChat(key, entry) {
+    await runRequest('readwrite', store => store.put({ ...entry, cached_at: Date.now() }, key));
+}
+
+/**
+ * Drops the cached chats of a character or group that are no longer in its chat list,
+ * e.g. because they were deleted or renamed.
+ *
+ * @param {string} owner - The avatar file name of the character, or the group ID for group chats.
+ * @param {Array<string>} fileNames - The file names of all chats the owner currently has.
+ * @returns {Promise<void>}
+ */
+export async function pruneCachedChats(owner, fileNames) {
+    const prefix = getChatCacheKey(owner, '');
+    const keys = await runRequest('readonly', store => store.getAllKeys(IDBKeyRange.bound(prefix, `${prefix}\uffff`))) || [];
+    const current = new Set(fileNames.map(file_name => getChatCacheKey(owner, file_name)));
+    await deleteEntries(keys.filter(key => !current.has(key)));
+}
+
+/**
+ * Checks whether a cache entry still matches the chat file it was made from.
+ * The entry is valid when the file size and the date of the last message reported by
+ * `/api/characters/chats` are unchanged. Without that metadata (group chats), entries are never considered fresh.
+ *
+ * @param {Object|undefined} entry - The cache entry.
+ * @param {Object} metadata - The chat file metadata, with `file_size` and `last_mes`.
+ * @returns {boolean} True if the entry can be used without downloading the chat again.
+ */
+export function isCacheEntryFresh(entry, metadata) {
+    if (!entry || metadata.file_size === undefined) {
+        return false;
+    }
+    return entry.file_size === metadata.file_size && entry.last_mes === metadata.last_mes;
+}
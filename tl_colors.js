@@ -0,0 +1,128 @@
+// Color palettes and contrast helpers for bookmark paths. Like tl_build.js, this module has no
+// dependencies on SillyTavern, so it can be used inside the timeline worker.
+
+/**
+ * The palettes bookmark path colors are picked from, by setting value.
+ */
+export const BOOKMARK_PALETTES = {
+    // Distinct colors, after Sasha Trubetskoy's list of 20 simple distinct colors, without its grey, which would
+    // look like the border of nodes off bookmark paths
+    default: ['#e6194b', '#3cb44b', '#ffe119', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#bfef45', '#fabed4',
+        '#469990', '#dcbeff', '#9a6324', '#fffac8', '#800000', '#aaffc3', '#808000', '#ffd8b1', '#000075'],
+    // Okabe-Ito, distinguishable with the common forms of color blindness
+    colorblind: ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7'],
+    // Fully saturated colors
+    highContrast: ['#ffff00', '#00ffff', '#ff00ff', '#00ff00', '#ff8000', '#ffffff', '#ff0000', '#0080ff'],
+};
+
+/**
+ * Parses a CSS color in hex (`#rgb`, `#rrggbb`) or functional (`rgb()`, `rgba()`) notation.
+ *
+ * @param {string} color - The color string.
+ * @returns {Object|null} The color as `{ r, g, b }` with channels from 0 to 255, or null if it can't be parsed.
+ */
+export function parseColor(color) {
+    if (typeof color !== 'string') {
+        return null;
+    }
+    color = color.trim();
+    let match = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (match) {
+        let hex = match[1].length === 3 ? [...match[1]].map(c => c + c).join('') : match[1];
+        return {
+            r: parseInt(hex.slice(0, 2), 16),
+            g: parseInt(hex.slice(2, 4), 16),
+            b: parseInt(hex.slice(4, 6), 16),
+        };
+    }
+    match = color.match(/^rgba?\(\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)/i);
+    if (match) {
+        return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]) };
+    }
+    return null;
+}
+
+/**
+ * Computes the relative luminance of a color, as defined by WCAG 2.
+ *
+ * @param {Object} rgb - The color as `{ r, g, b }`.
+ * @returns {number} The luminance, from 0 (black) to 1 (white).
+ */
+function getLuminance({ r, g, b }) {
+    const channel = (value) => {
+        value /= 255;
+        return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+/**
+ * Computes the WCAG 2 contrast ratio between two colors.
+ *
+ * @param {Object} a - A color as `{ r, g, b }`.
+ * @param {Object} b - Another color as `{ r, g, b }`.
+ * @returns {number} The contrast ratio, from 1 (identical) to 21 (black on white).
+ */
+export function getContrastRatio(a, b) {
+    const la = getLuminance(a);
+    const lb = getLuminance(b);
+    return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+/**
+ * Formats a color as a CSS `rgb()` string.
+ *
+ * @param {Object} rgb - The color as `{ r, g, b }`.
+ * @returns {string} The color in the format "rgb(r, g, b)".
+ */
+function formatColor({ r, g, b }) {
+    return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+}
+
+/**
+ * Picks the color of a bookmark path from a palette. The same seed always yields the same color, so colors
+ * stay stable across rebuilds. Starting from the seeded palette entry, the first color that has at least
+ * `minContrast` against every background color is used. If no palette color is readable enough, the seeded
+ * color is lightened or darkened until it is, or as far as it gets.
+ *
+ * @param {number} seed - A non-negative integer, e.g. a hash of the bookmark name.
+ * @param {Object} options - The color options.
+ * @param {Array<string>} options.palette - The palette colors.
+ * @param {Array<string>} [options.backgrounds] - The colors the path is drawn against, e.g. the edge and background colors.
+ * @param {number} [options.minContrast] - The minimum contrast ratio against each background.
+ * @returns {string} The color in the format "rgb(r, g, b)".
+ */
+export function pickBookmarkColor(seed, { palette, backgrounds = [], minContrast = 1 }) {
+    const backgroundColors = backgrounds.map(parseColor).filter(Boolean);
+    const worstContrast = (rgb) => Math.min(Infinity, ...backgroundColors.map(background => getContrastRatio(rgb, background)));
+    const paletteColors = palette.map(parseColor).filter(Boolean);
+    const start = seed % paletteColors.length;
+
+    for (let i = 0; i < paletteColors.length; i++) {
+        const candidate = paletteColors[(start + i) % paletteColors.length];
+        if (worstContrast(candidate) >= minContrast) {
+            return formatColor(candidate);
+        }
+    }
+
+    // Mix the seeded color towards white and black in steps, keeping the most readable result
+    const seeded = paletteColors[start];
+    let best = seeded;
+    for (let step = 1; step <= 10; step++) {
+        for (const target of [255, 0]) {
+            const t = step / 10;
+            const candidate = {
+                r: seeded.r + (target - seeded.r) * t,
+                g: seeded.g + (target - seeded.g) * t,
+                b: seeded.b + (target - seeded.b) * t,
+            };
+            if (worstContrast(candidate) >= minContrast) {
+                return formatColor(candidate);
+            }
+            if (worstContrast(candidate) > worstContrast(best)) {
+                best = candidate;
+            }
+        }
+    }
+    return formatColor(best);
+}
@@ -0,0 +1,98 @@
+// Search across the chats of all characters and groups. Hits carry the ID their message node has in the
+// timeline of its character or group, so that timeline can be opened focused on the hit.
+import { parseSearchQuery, matchesSearchQuery } from './tl_search.js';
+import { getMessageNodeId, normalizeMessageText } from './tl_build.js';
+import { forEachChat } from './tl_node_data.js';
+
+const MAX_GLOBAL_SEARCH_HITS = 500; // Searching goes on after this, but further hits are only counted
+
+/**
+ * Builds the node data a message would have in the timeline, as far as the search query language uses it.
+ *
+ * @param {Array} messages - The messages of the chat.
+ * @param {number} index - The index of the message.
+ * @param {string} text - The normalized message content.
+ * @param {string} file_name - The chat file name.
+ * @returns {Object} The node data.
+ */
+function getMessageSearchData(messages, index, text, file_name) {
+    const message = messages[index];
+    // Like in the timeline, the swipes of a message are counted at its parent
+    const next = messages[index + 1];
+    const swipes = next ? new Set((next.swipes || []).filter(swipe => swipe !== next.mes)) : new Set();
+    return {
+        msg: text,
+        name: message.name,
+        is_user: message.is_user,
+        is_system: message.is_system,
+        send_date: message.send_date,
+        isBookmark: Boolean(message.extra?.bookmark_link) || Boolean(message.is_system && text.includes('Bookmark created!')),
+        totalSwipes: swipes.size,
+        chat_sessions: [file_name],
+    };
+}
+
+/**
+ * Orders global search hits by character or group, then by chat, newest first like in the timeline,
+ * and then by message.
+ *
+ * @param {Object} a - A hit, see `searchAllChats`.
+ * @param {Object} b - Another hit.
+ * @returns {number} A negative number if `a` comes first, a positive number if `b` does, and 0 otherwise.
+ */
+function compareHits(a, b) {
+    return a.owner.name.localeCompare(b.owner.name)
+        || a.owner.type.localeCompare(b.owner.type)
+        || String(a.owner.id).localeCompare(String(b.owner.id))
+        || b.session.localeCompare(a.session)
+        || a.index - b.index;
+}
+
+/**
+ * Searches the chats of all characters and groups. Only messages are searched, not their alternative swipes.
+ *
+ * @async
+ * @param {string} query - The search query, see tl_search.js for the syntax.
+ * @param {Object} [options] - Optional callbacks and cancellation.
+ * @param {Function} [options.onProgress] - Called as `onProgress(loaded, total)` while chats are searched.
+ * @param {AbortSignal} [options.signal] - Signal to stop the search.
+ * @returns {Promise<Object>} `{ hits, total }`, where `total` counts all hits and `hits` lists the first
+ *                            `MAX_GLOBAL_SEARCH_HITS` of them as `{ owner, session, index, nodeId, data }`, in the
+ *                            order of `compareHits`. Chats are searched in the order their downloads finish, but
+ *                            neither the order of the hits nor which ones are kept depend on it.
+ *                            `owner` is `{ type, id, name }` as passed by `forEachChat`.
+ */
+export async function searchAllChats(query, { onProgress = null, signal = undefined } = {}) {
+    const ast = parseSearchQuery(query);
+    let hits = [];
+    let total = 0;
+    if (!ast) {
+        return { hits, total };
+    }
+
+    await forEachChat((owner, session, messages) => {
+        // Node IDs chain from the root through every message, see `getMessageNodeId`
+        let nodeId = 'root';
+        let chatHits = 0;
+        messages.forEach((message, index) => {
+            const text = normalizeMessageText(message);
+            if (text === null) {
+                return;
+            }
+            nodeId = getMessageNodeId(nodeId, text);
+            const data = getMessageSearchData(messages, index, text, session);
+            if (matchesSearchQuery(ast, data)) {
+                total++;
+                // Later hits of the same chat never make it past the cap
+                if (chatHits++ < MAX_GLOBAL_SEARCH_HITS) {
+                    hits.push({ owner, session, index, nodeId, data });
+                }
+            }
+        });
+        if (hits.length > MAX_GLOBAL_SEARCH_HITS) {
+            hits = hits.sort(compareHits).slice(0, MAX_GLOBAL_SEARCH_HITS);
+        }
+    }, { onProgress, signal });
+
+    return { hits: hits.sort(compareHits), total };
+}
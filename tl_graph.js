@@ -1,16 +1,31 @@
 import { highlightElements, restoreElements } from './tl_style.js';
+import { parseSearchQuery, matchesSearchQuery } from './tl_search.js';
+import { getDepth } from './tl_model.js';
 let currentOrientation = 'TB'; // starting orientation
 
 
+const ORIENTATIONS = ['LR', 'TB', 'RL', 'BT']; // Each one is the previous one turned clockwise
+const TAXI_DIRECTIONS = { LR: 'rightward', TB: 'downward', RL: 'leftward', BT: 'upward' };
+
 /**
- * Toggles the orientation of the graph between Left-to-Right (LR) and Top-to-Bottom (TB).
+ * Turns the orientation of the graph clockwise, from Left-to-Right (LR) to Top-to-Bottom (TB),
+ * Right-to-Left (RL), Bottom-to-Top (BT) and back to Left-to-Right.
  *
  * @param {Object} cy - The Cytoscape instance representing the graph.
  * @param {Object} layout - The Cytoscape layout configuration object.
  */
 export function toggleGraphOrientation(cy, layout) {
-    currentOrientation = (currentOrientation === 'LR') ? 'TB' : 'LR';
-    setOrientation(cy, currentOrientation, layout);
+    const next = ORIENTATIONS[(ORIENTATIONS.indexOf(currentOrientation) + 1) % ORIENTATIONS.length];
+    setGraphOrientation(cy, next, layout);
+}
+
+/**
+ * Returns the current orientation of the graph.
+ *
+ * @returns {string} 'LR' for Left-to-Right, 'TB' for Top-to-Bottom, 'RL' for Right-to-Left or 'BT' for Bottom-to-Top.
+ */
+export function getGraphOrientation() {
+    return currentOrientation;
 }
 
 /**
@@ -26,24 +41,23 @@ export function setGraphOrientationBasedOnViewport(cy, layout) {
     const viewportHeight = window.innerHeight || document.documentElement.clientHeight || document.body.clientHeight;
 
     const orientation = (viewportWidth > viewportHeight) ? 'LR' : 'TB';
-    setOrientation(cy, orientation, layout);
+    setGraphOrientation(cy, orientation, layout);
 }
 
 /**
- * Sets the orientation of the graph to the specified direction (either 'LR' for Left-to-Right
- * or 'TB' for Top-to-Bottom).
+ * Sets the orientation of the graph to the specified direction ('LR' for Left-to-Right, 'TB' for Top-to-Bottom,
+ * 'RL' for Right-to-Left or 'BT' for Bottom-to-Top) and runs the layout.
  *
  * @param {Object} cy - The Cytoscape instance representing the graph.
- * @param {string} orientation - The desired orientation for the graph ('LR' or 'TB').
+ * @param {string} orientation - The desired orientation for the graph.
  * @param {Object} layout - The Cytoscape layout configuration object.
- * @private
  */
-function setOrientation(cy, orientation, layout) {
-    // Update layout
+export function setGraphOrientation(cy, orientation, layout) {
+    // Update layout, collapsed subtrees take no space
     layout.rankDir = orientation;
-    cy.layout(layout).run();
+    cy.elements().not('.collapsed-hidden').layout(layout).run();
     // Update taxi-direction in style
-    const taxiDirection = orientation === 'TB' ? 'downward' : 'rightward';
+    const taxiDirection = TAXI_DIRECTIONS[orientation];
     cy.style().selector('edge').style({
         'taxi-direction': taxiDirection,
     }).update();
@@ -52,43 +66,116 @@ function setOrientation(cy, orientation, layout) {
 
 /**
  * Highlights nodes in the graph based on a provided query.
- * Nodes where the 'msg' property contains the query will be highlighted, while others will be dimmed.
+ * Nodes matching the query (see tl_search.js for the query syntax) will be highlighted, while others will be dimmed.
  * If no nodes match the query or if the query is empty, all nodes will be restored to their original state.
  *
+ * Swipes are searched whether they are expanded or not. Before highlighting, `revealSwipes` is called with the
+ * IDs of the nodes whose stored swipes match, so that it can add those swipes to the graph. Likewise,
+ * `revealNodes` is called with the IDs of all matching nodes, for matches that are not in the graph yet.
+ *
  * @param {Object} cy - The Cytoscape instance representing the graph.
+ * @param {Object} model - The graph model of the timeline, see `createGraphModel`.
  * @param {string} query - The query used to match and highlight nodes.
+ * @param {Function} [revealSwipes] - Called with an array of parent node IDs, empty if no swipe matches.
+ * @param {Function} [revealNodes] - Called with an array of the matching node IDs, empty if nothing matches.
+ * @returns {Array<string>} The IDs of the matching nodes in the graph, in message order.
  */
-export function highlightNodesByQuery(cy, query) {
+export function highlightNodesByQuery(cy, model, query, revealSwipes = null, revealNodes = null) {
+    const ast = parseSearchQuery(query);
     // If there's no query, restore elements to their original state.
-    if (!query || query === '') {
+    if (!ast) {
+        if (revealSwipes) {
+            revealSwipes([]);
+        }
+        if (revealNodes) {
+            revealNodes([]);
+        }
         restoreElements(cy);
-        return;
+        return [];
     }
 
-    // Create a selector for nodes where the 'msg' property contains the query
-    let selector = `node[msg @*= "${query}"]`;
+    // Match against the node data instead of building a selector, so any characters can be searched for
+    let matchIds = new Set();
+    let swipeParentIds = new Set();
+    model.nodes.forEach((data, id) => {
+        // The root is not a message, so it never matches, not even a negated term
+        if (id !== 'root' && matchesSearchQuery(ast, data)) {
+            matchIds.add(id);
+            if (data.isSwipe) {
+                swipeParentIds.add(model.parents.get(id));
+            }
+        }
+    });
+    if (revealSwipes) {
+        revealSwipes([...swipeParentIds]);
+    }
+    if (revealNodes) {
+        revealNodes([...matchIds]);
+    }
+    let matches = cy.nodes().filter(node => matchIds.has(node.id()));
 
-    // If no nodes match the selector, restore elements. Otherwise, highlight.
-    if (cy.elements(selector).length === 0) {
-        restoreElements(cy);
-    } else {
-        restoreElements(cy);
-        highlightElements(cy, selector);
+    // If no nodes match the query, restore elements. Otherwise, highlight.
+    restoreElements(cy);
+    if (matches.length > 0) {
+        highlightElements(cy, matches);
     }
+    // The model lists nodes breadth-first, with swipes at the end; the stable sort puts the swipes in place
+    return [...matchIds]
+        .filter(id => cy.getElementById(id).length > 0)
+        .sort((a, b) => getDepth(model, a) - getDepth(model, b));
 }
 
 /**
- * Retrieves the depth of a given node in a graph. The depth is determined based on the number of
- * ancestral nodes a node has, with the assumption that each node has at most one parent.
+ * Brings the elements of an existing Cytoscape instance in line with a freshly built list of elements,
+ * matching them by ID. New elements are added, vanished ones are removed (together with any swipes
+ * expanded from them), and elements whose data changed get their data replaced. Elements that did not
+ * change are left alone, so their positions and styles are kept.
+ *
+ * Expanded swipe nodes are not part of the element list; they are only removed along with their parent.
  *
- * @param {Object} node - The Cytoscape node object whose depth is to be determined.
- * @returns {number} The depth of the given node.
+ * @param {Object} cy - The Cytoscape instance representing the graph.
+ * @param {Array<Object>} elements - The up-to-date list of node and edge objects.
+ * @returns {boolean} True if any element was added, removed or updated.
  */
-export function getNodeDepth(node) {
-    let depth = 0;
-    while (node.incomers().nodes().length > 0) {
-        node = node.incomers().nodes()[0];  // Assuming the node only has a single parent
-        depth++;
-    }
-    return depth;
+export function syncElements(cy, elements) {
+    const incoming = new Map(elements.map(element => [element.data.id, element]));
+    let changed = false;
+
+    cy.batch(() => {
+        cy.elements().forEach(ele => {
+            if (ele.removed() || ele.data('isSwipe') || incoming.has(ele.id())) {
+                return;
+            }
+            if (ele.isNode()) {
+                ele.outgoers('node[?isSwipe]').remove();
+            }
+            ele.remove();
+            changed = true;
+        });
+
+        // Nodes come before the edges that point to them in the element list
+        elements.forEach(element => {
+            const existing = cy.getElementById(element.data.id);
+            if (existing.length === 0) {
+                cy.add(element);
+                changed = true;
+                return;
+            }
+
+            // id, source and target are immutable in Cytoscape and fixed by the ID anyway
+            const { id, source, target, ...newData } = element.data;
+            const oldData = existing.data();
+            const staleKeys = Object.keys(oldData).filter(key => !(key in element.data));
+            const differs = staleKeys.length > 0 || Object.keys(newData).some(key => JSON.stringify(oldData[key]) !== JSON.stringify(newData[key]));
+            if (differs) {
+                if (staleKeys.length > 0) {
+                    existing.removeData(staleKeys.join(' '));
+                }
+                existing.data(newData);
+                changed = true;
+            }
+        });
+    });
+
+    return changed;
 }
@@ -0,0 +1,183 @@
+// Layout algorithms of the timeline graph, chosen in the style settings: dagre with its three rankers, Cytoscape's
+// breadthfirst and concentric layouts, and a compact tidy tree, which is registered as a Cytoscape layout here.
+// All of them but the concentric one follow the graph orientation in `rankDir`, see `setGraphOrientation`.
+
+const TIDY_TREE_DEFAULTS = {
+    fit: true,
+    padding: 30,
+    animate: false,
+    nodeDimensionsIncludeLabels: true,
+    spacingFactor: 1,
+    nodeSep: 50, // Space between neighboring nodes of the same depth
+    rankSep: 50, // Space between the depths
+    rankDir: 'TB',
+};
+
+/**
+ * Turns a position in a top-to-bottom tree into the same position in a tree of another orientation.
+ *
+ * @param {Object} position - The position `{ x, y }`, with the depth growing downward.
+ * @param {string} rankDir - The orientation: 'TB', 'BT', 'LR' or 'RL'.
+ * @returns {Object} The oriented position.
+ */
+function orientPosition({ x, y }, rankDir) {
+    switch (rankDir) {
+        case 'BT':
+            return { x, y: -y };
+        case 'LR':
+            return { x: y, y: x };
+        case 'RL':
+            return { x: -y, y: x };
+        default:
+            return { x, y };
+    }
+}
+
+/**
+ * Computes a compact tidy drawing of a forest: the leaves take consecutive slots in depth-first order, and every
+ * parent is centered over its first and last child. Subtrees never overlap, and no slot is left empty.
+ * The trees are walked without recursion, so long chats don't overflow the stack.
+ *
+ * @param {Array<string>} roots - The IDs of the roots, in the order the trees are placed.
+ * @param {Function} getChildren - Returns the IDs of the children of a node, in order.
+ * @returns {Map<string, Object>} Node ID -> `{ breadth, depth }`, both in slots.
+ */
+function computeTidyTreePositions(roots, getChildren) {
+    let positions = new Map();
+    let nextLeaf = 0;
+    roots.forEach(root => {
+        let stack = [{ id: root, depth: 0, children: getChildren(root), next: 0 }];
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            if (frame.next < frame.children.length) {
+                const child = frame.children[frame.next++];
+                stack.push({ id: child, depth: frame.depth + 1, children: getChildren(child), next: 0 });
+                continue;
+            }
+            stack.pop();
+            const { children } = frame;
+            const breadth = children.length === 0
+                ? nextLeaf++
+                : (positions.get(children[0]).breadth + positions.get(children[children.length - 1]).breadth) / 2;
+            positions.set(frame.id, { breadth, depth: frame.depth });
+        }
+    });
+    return positions;
+}
+
+/**
+ * The tidy tree layout, for `cytoscape.use`. Slots are as wide as the largest node plus `nodeSep`, and depths
+ * as far apart as the largest node plus `rankSep`; `spacingFactor`, `fit` and the like work as for other layouts.
+ *
+ * @param {Object} options - The layout options, see `TIDY_TREE_DEFAULTS`.
+ */
+function TidyTreeLayout(options) {
+    this.options = Object.assign({}, TIDY_TREE_DEFAULTS, options);
+}
+
+TidyTreeLayout.prototype.run = function () {
+    const options = this.options;
+    const nodes = options.eles.nodes();
+    const ids = new Set(nodes.map(node => node.id()));
+    const getChildren = (id) => options.cy.getElementById(id).outgoers('node').map(child => child.id()).filter(childId => ids.has(childId));
+    const roots = nodes.filter(node => !node.incomers('node').some(parent => ids.has(parent.id()))).map(node => node.id());
+    const positions = computeTidyTreePositions(roots, getChildren);
+
+    const horizontal = options.rankDir === 'LR' || options.rankDir === 'RL';
+    let breadthSize = 0;
+    let depthSize = 0;
+    nodes.forEach(node => {
+        const { w, h } = node.layoutDimensions(options);
+        breadthSize = Math.max(breadthSize, horizontal ? h : w);
+        depthSize = Math.max(depthSize, horizontal ? w : h);
+    });
+    const breadthUnit = breadthSize + options.nodeSep;
+    const depthUnit = depthSize + options.rankSep;
+
+    nodes.layoutPositions(this, options, node => {
+        const { breadth, depth } = positions.get(node.id()) || { breadth: 0, depth: 0 };
+        return orientPosition({ x: breadth * breadthUnit, y: depth * depthUnit }, options.rankDir);
+    });
+    return this;
+};
+
+TidyTreeLayout.prototype.stop = function () {
+    return this; // The layout runs synchronously, so there is nothing to stop
+};
+
+/**
+ * Registers the tidy tree layout as `tidytree`.
+ *
+ * @param {Function} cytoscape - The Cytoscape library.
+ */
+export function cytoscapeTidyTree(cytoscape) {
+    cytoscape('layout', 'tidytree', TidyTreeLayout);
+}
+
+/**
+ * Tells whether the layout chosen in the settings follows the graph orientation. The concentric layout
+ * places the nodes in rings around the root, so it has no orientation to rotate.
+ *
+ * @param {Object} settings - The extension settings, `extension_settings.timeline`.
+ * @returns {boolean} True if rotating the graph changes the layout.
+ */
+export function isLayoutOriented(settings) {
+    return settings.layoutAlgorithm !== 'concentric';
+}
+
+/**
+ * Builds the options of the layout chosen in the settings.
+ *
+ * @param {Object} settings - The extension settings, `extension_settings.timeline`.
+ * @param {string} rankDir - The orientation of the graph: 'TB', 'BT', 'LR' or 'RL'.
+ * @returns {Object} The Cytoscape layout options. `rankDir` can be changed later, the breadthfirst layout reads it
+ *                   on every run too.
+ */
+export function buildLayoutOptions(settings, rankDir) {
+    const common = {
+        nodeDimensionsIncludeLabels: true,
+        spacingFactor: Number(settings.spacingFactor),
+        rankDir,
+    };
+    switch (settings.layoutAlgorithm) {
+        case 'breadthfirst': {
+            // Breadthfirst always puts the roots at the top, so the other orientations are made by turning it
+            let layout = {
+                ...common,
+                name: 'breadthfirst',
+                directed: true,
+                avoidOverlap: true,
+            };
+            layout.transform = (node, position) => orientPosition(position, layout.rankDir);
+            return layout;
+        }
+        case 'concentric':
+            // The root in the center, and every depth on a ring further out
+            return {
+                ...common,
+                name: 'concentric',
+                concentric: (node) => -node.predecessors('node').length,
+                levelWidth: () => 1,
+                minNodeSpacing: Number(settings.nodeSeparation),
+                avoidOverlap: true,
+            };
+        case 'tidy-tree':
+            return {
+                ...common,
+                name: 'tidytree',
+                nodeSep: Number(settings.nodeSeparation),
+                rankSep: Number(settings.rankSeparation),
+            };
+        default:
+            return {
+                ...common,
+                name: 'dagre',
+                nodeSep: settings.nodeSeparation,
+                edgeSep: settings.edgeSeparation,
+                rankSep: settings.rankSeparation,
+                ranker: { 'dagre-tight-tree': 'tight-tree', 'dagre-longest-path': 'longest-path' }[settings.layoutAlgorithm] || 'network-simplex',
+                acyclicer: 'greedy',
+                align: settings.align,
+            };
+    }
+}
@@ -0,0 +1,125 @@
+// Minimap of the timeline: the whole graph drawn small on a canvas, with a rectangle for the part shown in the
+// main view. Dragging the rectangle, or pressing anywhere on the minimap, pans the main view there.
+
+const MINIMAP_PADDING = 6; // Canvas pixels kept free around the graph
+const MINIMAP_NODE_SIZE = 3; // Canvas pixels
+
+/**
+ * Computes how graph coordinates map to minimap coordinates, so the whole graph fits the canvas.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {HTMLCanvasElement} canvas - The minimap canvas.
+ * @returns {Object} `{ scale, x, y }`, where a graph position p is drawn at `p.x * scale + x`, `p.y * scale + y`.
+ */
+function getMinimapTransform(cy, canvas) {
+    const bb = cy.elements(':visible').boundingBox();
+    const width = canvas.width - 2 * MINIMAP_PADDING;
+    const height = canvas.height - 2 * MINIMAP_PADDING;
+    const scale = Math.min(width / (bb.w || 1), height / (bb.h || 1));
+    return {
+        scale,
+        // Center the graph on the axis where it doesn't fill the canvas
+        x: MINIMAP_PADDING + (width - bb.w * scale) / 2 - bb.x1 * scale,
+        y: MINIMAP_PADDING + (height - bb.h * scale) / 2 - bb.y1 * scale,
+    };
+}
+
+/**
+ * Draws the minimap: edges and nodes in their rendered colors, and the rectangle of the main view
+ * in the text color of the canvas, so it follows the UI theme set in the stylesheet.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {HTMLCanvasElement} canvas - The minimap canvas.
+ */
+export function drawMinimap(cy, canvas) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (cy.destroyed() || cy.nodes(':visible').length === 0) {
+        return;
+    }
+    const t = getMinimapTransform(cy, canvas);
+    const toMinimap = (position) => ({ x: position.x * t.scale + t.x, y: position.y * t.scale + t.y });
+
+    ctx.lineWidth = 1;
+    cy.edges(':visible').forEach(edge => {
+        const source = toMinimap(edge.source().position());
+        const target = toMinimap(edge.target().position());
+        ctx.strokeStyle = edge.style('line-color');
+        ctx.globalAlpha = edge.data('isHighlight') ? 1 : 0.5;
+        ctx.beginPath();
+        ctx.moveTo(source.x, source.y);
+        ctx.lineTo(target.x, target.y);
+        ctx.stroke();
+    });
+
+    ctx.globalAlpha = 1;
+    cy.nodes(':visible').forEach(node => {
+        const position = toMinimap(node.position());
+        ctx.fillStyle = node.style('background-color');
+        ctx.fillRect(position.x - MINIMAP_NODE_SIZE / 2, position.y - MINIMAP_NODE_SIZE / 2, MINIMAP_NODE_SIZE, MINIMAP_NODE_SIZE);
+    });
+
+    const extent = cy.extent();
+    const topLeft = toMinimap({ x: extent.x1, y: extent.y1 });
+    ctx.strokeStyle = getComputedStyle(canvas).color;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(topLeft.x, topLeft.y, extent.w * t.scale, extent.h * t.scale);
+}
+
+/**
+ * Connects a minimap canvas to a Cytoscape instance. The minimap is redrawn whenever the graph is rendered,
+ * which covers panning, zooming, added or removed swipes and layout runs; redraws are limited to one per frame,
+ * and skipped while the canvas is hidden. Previous pointer handlers of the canvas are replaced.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {HTMLCanvasElement} canvas - The minimap canvas.
+ */
+export function attachMinimap(cy, canvas) {
+    let frame = null;
+    cy.on('render', function () {
+        if (frame !== null) {
+            return;
+        }
+        frame = requestAnimationFrame(() => {
+            frame = null;
+            if (canvas.offsetParent !== null) {
+                drawMinimap(cy, canvas);
+            }
+        });
+    });
+
+    // Converts a pointer event into graph coordinates
+    const toGraph = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        const t = getMinimapTransform(cy, canvas);
+        return {
+            x: ((e.clientX - rect.left) * (canvas.width / rect.width) - t.x) / t.scale,
+            y: ((e.clientY - rect.top) * (canvas.height / rect.height) - t.y) / t.scale,
+        };
+    };
+    const centerOn = (position) => {
+        const zoom = cy.zoom();
+        cy.pan({ x: cy.width() / 2 - position.x * zoom, y: cy.height() / 2 - position.y * zoom });
+    };
+
+    // Pressing inside the view rectangle drags it from where it was grabbed, pressing outside centers it there
+    let grabOffset = null;
+    canvas.onpointerdown = function (e) {
+        const position = toGraph(e);
+        const extent = cy.extent();
+        const inside = position.x >= extent.x1 && position.x <= extent.x2 && position.y >= extent.y1 && position.y <= extent.y2;
+        grabOffset = inside ? { x: (extent.x1 + extent.x2) / 2 - position.x, y: (extent.y1 + extent.y2) / 2 - position.y } : { x: 0, y: 0 };
+        canvas.setPointerCapture(e.pointerId);
+        cy.stop(true);
+        centerOn({ x: position.x + grabOffset.x, y: position.y + grabOffset.y });
+    };
+    canvas.onpointermove = function (e) {
+        if (grabOffset) {
+            const position = toGraph(e);
+            centerOn({ x: position.x + grabOffset.x, y: position.y + grabOffset.y });
+        }
+    };
+    canvas.onpointerup = canvas.onpointercancel = function () {
+        grabOffset = null;
+    };
+}
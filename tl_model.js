@@ -0,0 +1,140 @@
+// Indexed model of a timeline graph. It is built once from the node and edge list and answers
+// structural questions (parent, children, depth, session membership) in constant time, instead of
+// walking the Cytoscape graph for every lookup. Ancestor paths are not precomputed: stored for every
+// node, they would take memory quadratic in the length of a chat. They are read off the parent map
+// instead, in time proportional to the path length. Like tl_build.js, this module has no
+// dependencies on SillyTavern or Cytoscape, so it can be used inside the timeline worker too.
+
+
+/**
+ * Builds the graph model for a list of Cytoscape elements. Swipes stored in the `storedSwipes` data of
+ * their parent are indexed too, as children of that parent, so they can be looked up whether expanded or not.
+ *
+ * @param {Array<Object>} elements - The list of node and edge objects of the timeline.
+ * @returns {Object} The model, with the maps
+ *                   `nodes` (node ID -> node data), `edges` (edge ID -> edge data),
+ *                   `parents` (node ID -> parent node ID), `children` (node ID -> child node IDs),
+ *                   `incomingEdges` (node ID -> ID of the edge from its parent), `depths` (node ID -> depth, root is 0)
+ *                   and `sessions` (chat file name -> IDs of the nodes in that session).
+ */
+export function createGraphModel(elements) {
+    let model = {
+        nodes: new Map(),
+        edges: new Map(),
+        parents: new Map(),
+        children: new Map(),
+        incomingEdges: new Map(),
+        depths: new Map(),
+        sessions: new Map(),
+    };
+
+    const addNode = (data) => {
+        model.nodes.set(data.id, data);
+        (data.chat_sessions || []).forEach(session => {
+            if (!data.isSwipe) {
+                if (!model.sessions.has(session)) {
+                    model.sessions.set(session, new Set());
+                }
+                model.sessions.get(session).add(data.id);
+            }
+        });
+    };
+    const addEdge = (data) => {
+        model.edges.set(data.id, data);
+        model.parents.set(data.target, data.source);
+        model.incomingEdges.set(data.target, data.id);
+        if (!model.children.has(data.source)) {
+            model.children.set(data.source, []);
+        }
+        model.children.get(data.source).push(data.target);
+    };
+
+    let storedSwipes = [];
+    elements.forEach(element => {
+        if (element.group === 'nodes') {
+            addNode(element.data);
+            storedSwipes.push(...(element.data.storedSwipes || []));
+        } else {
+            addEdge(element.data);
+        }
+    });
+    // Swipes go after the regular children of their parent
+    storedSwipes.forEach(({ node, edge }) => {
+        addNode(node);
+        addEdge(edge);
+    });
+
+    // Depths are assigned top-down, so each node is visited once
+    let queue = [...model.nodes.keys()].filter(id => !model.parents.has(id));
+    queue.forEach(id => model.depths.set(id, 0));
+    for (let i = 0; i < queue.length; i++) {
+        const depth = model.depths.get(queue[i]);
+        getChildIds(model, queue[i]).forEach(childId => {
+            model.depths.set(childId, depth + 1);
+            queue.push(childId);
+        });
+    }
+
+    return model;
+}
+
+/**
+ * Returns the ID of the parent of a node.
+ *
+ * @param {Object} model - The graph model.
+ * @param {string} id - The node ID.
+ * @returns {string|undefined} The parent node ID, or undefined for the root.
+ */
+export function getParentId(model, id) {
+    return model.parents.get(id);
+}
+
+/**
+ * Returns the IDs of the children of a node, swipes included.
+ *
+ * @param {Object} model - The graph model.
+ * @param {string} id - The node ID.
+ * @returns {Array<string>} The child node IDs, in the order they were built.
+ */
+export function getChildIds(model, id) {
+    return model.children.get(id) || [];
+}
+
+/**
+ * Returns the depth of a node, i.e. the number of its ancestors. The root has depth 0 and the first
+ * message of a chat has depth 1, so for messages the depth is one more than the message index.
+ *
+ * @param {Object} model - The graph model.
+ * @param {string} id - The node ID.
+ * @returns {number} The depth of the node.
+ */
+export function getDepth(model, id) {
+    return model.depths.get(id) ?? 0;
+}
+
+/**
+ * Returns the path from the root down to a node. The path is read off the parent map, so it takes time
+ * proportional to its length, which is the least any caller iterating over it needs anyway.
+ *
+ * @param {Object} model - The graph model.
+ * @param {string} id - The node ID.
+ * @returns {Array<string>} The node IDs from the root to the given node, both included.
+ */
+export function getAncestorPath(model, id) {
+    let path = new Array(getDepth(model, id) + 1);
+    for (let i = path.length - 1, current = id; i >= 0; i--, current = model.parents.get(current)) {
+        path[i] = current;
+    }
+    return path;
+}
+
+/**
+ * Returns the IDs of all nodes that belong to a chat session.
+ *
+ * @param {Object} model - The graph model.
+ * @param {string} session - The chat file name.
+ * @returns {Set<string>} The IDs of the session's nodes.
+ */
+export function getSessionNodeIds(model, session) {
+    return model.sessions.get(session) || new Set();
+}
@@ -0,0 +1,68 @@
+// Several timelines in one graph, e.g. those of different characters side by side. The timelines are built
+// separately and every element ID is prefixed with the tree it belongs to, so a message that appears in more than
+// one timeline stays a separate node in each. Like tl_model.js, this module has no dependencies on SillyTavern or Cytoscape.
+
+/**
+ * Returns the ID a node or edge of a timeline gets in the multi-tree graph.
+ *
+ * @param {number} treeIndex - The index of the tree.
+ * @param {string} id - The ID in the timeline of the tree.
+ * @returns {string} The element ID in the multi-tree graph.
+ */
+export function getTreeElementId(treeIndex, id) {
+    return `tree${treeIndex}:${id}`;
+}
+
+/**
+ * Copies the data of a node or edge into a tree: the IDs are prefixed, and the tree index and the
+ * element's own ID in its timeline (`timelineNodeId` for nodes) are added.
+ *
+ * @param {Object} data - The element data from the timeline.
+ * @param {number} treeIndex - The index of the tree.
+ * @returns {Object} The element data for the multi-tree graph.
+ */
+function toTreeData(data, treeIndex) {
+    const prefix = (id) => getTreeElementId(treeIndex, id);
+    let treeData = { ...data, id: prefix(data.id), treeIndex };
+    if (data.source !== undefined) {
+        treeData.source = prefix(data.source);
+        treeData.target = prefix(data.target);
+    } else {
+        treeData.timelineNodeId = data.id;
+    }
+    if (data.storedSwipes) {
+        treeData.storedSwipes = data.storedSwipes.map(({ node, edge }) => ({
+            node: toTreeData(node, treeIndex),
+            edge: toTreeData(edge, treeIndex),
+        }));
+    }
+    return treeData;
+}
+
+/**
+ * Combines several timelines into one list of elements, each timeline a separate tree under its own root.
+ *
+ * @param {Array<Object>} trees - The timelines as `{ owner, elements }`, where `owner` is the character or group
+ *                                as `{ type, id, name }` and `elements` its list of nodes and edges.
+ * @returns {Array<Object>} The list of node and edge objects for Cytoscape. Every element carries the `treeIndex`
+ *                          of its tree; the roots also carry the `treeOwner` and its name as `treeLabel`.
+ */
+export function buildMultiTreeElements(trees) {
+    let nodes = [];
+    let edges = [];
+    trees.forEach(({ owner, elements }, treeIndex) => {
+        elements.forEach(element => {
+            let data = toTreeData(element.data, treeIndex);
+            if (element.group === 'edges') {
+                edges.push({ group: 'edges', data });
+                return;
+            }
+            if (element.data.id === 'root') {
+                Object.assign(data, { treeOwner: owner, treeLabel: owner.name });
+            }
+            nodes.push({ group: 'nodes', data });
+        });
+    });
+    // Nodes come before the edges that point to them
+    return [...nodes, ...edges];
+}
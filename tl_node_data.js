@@ -1,324 +1,364 @@
 import { characters, getRequestHeaders } from '../../../../script.js';
 import { extension_settings, getContext } from '../../../extensions.js';
-
+import { getCachedChat, putCachedChat, getChatCacheKey, isCacheEntryFresh, pruneCachedChats } from './tl_cache.js';
+import { convertToCytoscapeElements, convertDetachedElements, updateChatSessions } from './tl_build.js';
+
+const FETCH_CONCURRENCY = 6; // Maximum number of chat files downloaded at the same time
+
+// The timeline graph is built in a worker, so large timelines don't freeze the UI.
+// If the worker can't be started, the same functions run on the main thread instead.
+const localBuildTasks = {
+    build: convertToCytoscapeElements,
+    buildDetached: convertDetachedElements,
+    update: updateChatSessions,
+};
+let buildWorker = null;
+let buildWorkerFailed = false;
+let pendingBuildTasks = new Map(); // request ID -> { type, args, resolve, reject }
+let nextBuildTaskId = 1;
+let timelineGeneration = 0; // Incremented whenever a new timeline is built
+let sessionMetadata = {}; // file name -> header metadata of the sessions in the current timeline
 
 /**
- * Preprocesses chat sessions to aggregate messages from different files into a unified structure.
- * For each message position/index across all chat files, it creates an array of messages at that position
- * from every chat file, effectively transposing the structure.
+ * Returns the timeline worker, starting it on first use.
  *
- * @param {Object} channelHistory - An object where keys are file names and values are arrays of chat messages.
- * @returns {Array} allChats - A 2D array where each sub-array corresponds to a message index and contains
- *                             objects detailing the file name, index, and actual message for each chat file.
+ * @returns {Worker|null} The worker, or null if workers are not available.
  */
-function preprocessChatSessions(channelHistory) {
-    let allChats = [];
-
-    for (const [file_name, messages] of Object.entries(channelHistory)) {
-        messages.forEach((message, index) => {
-            if (!allChats[index]) {
-                allChats[index] = [];
-            }
-            allChats[index].push({
-                file_name,
-                index,
-                message,
-            });
-        });
+function getBuildWorker() {
+    if (buildWorker || buildWorkerFailed) {
+        return buildWorker;
+    }
+    try {
+        buildWorker = new Worker(new URL('./tl_worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.warn('Timeline worker unavailable, building on the main thread:', error);
+        buildWorkerFailed = true;
+        return null;
     }
 
-    return allChats;
+    buildWorker.onmessage = (event) => {
+        const { id, result, error } = event.data;
+        const task = pendingBuildTasks.get(id);
+        pendingBuildTasks.delete(id);
+        if (task) {
+            error ? task.reject(new Error(error)) : task.resolve(result);
+        }
+    };
+    buildWorker.onerror = (event) => {
+        console.warn('Timeline worker failed, building on the main thread:', event.message);
+        buildWorker.terminate();
+        buildWorker = null;
+        buildWorkerFailed = true;
+        // Finish the outstanding tasks locally. The chat trie was lost with the worker, so updates resolve to null
+        // until the next build, and the callers then rebuild the timeline on the next open.
+        const tasks = [...pendingBuildTasks.values()];
+        pendingBuildTasks.clear();
+        tasks.forEach(({ type, args, resolve }) => resolve(localBuildTasks[type](...args)));
+    };
+    return buildWorker;
 }
 
 /**
- * Constructs nodes and associated edges for each message index based on processed chat sessions.
- * Nodes are created for each unique message content across chat files at each message position,
- * and edges represent the message order and source file. The function also handles special
- * nodes, such as swipes, and ensures they are properly connected in the graph.
- *
- * @param {Array} allChats - A 2D array resulting from `preprocessChatSessions`, where each sub-array
- *                           corresponds to a message index and contains objects detailing the file name,
- *                           index, and actual message for each chat file.
- * @returns {Array} cyElements - A list of node and edge objects suitable for the Cytoscape graph library.
+ * Runs a timeline build task in the worker, or on the main thread if the worker is not available.
  *
- * Behavior:
- * 1. Initializes a root node and sets up tracking for previous nodes.
- * 2. Iterates over each message index, grouping messages by content.
- * 3. For each group of messages, constructs a node and an associated edge.
- * 4. Handles special nodes, such as swipes, and ensures they are properly added.
- * 5. Returns the full list of constructed nodes and edges.
+ * @param {string} type - The task, 'build' for `convertToCytoscapeElements`, 'buildDetached' for
+ *                        `convertDetachedElements` or 'update' for `updateChatSessions`.
+ * @param {...*} args - The arguments passed to the task.
+ * @returns {Promise<Array|null>} The resulting list of nodes and edges.
  */
-
-function buildNodes(allChats) {
-    let cyElements = [];
-    let keyCounter = 1;
-    let previousNodes = {};
-    let parentSwipeData = {};
-
-    // Initialize root node
-    cyElements.push({
-        group: 'nodes',
-        data: {
-            id: 'root',
-            label: 'root',
-            x: 0,
-            y: 0,
-        },
-    });
-
-    // Initialize previousNodes
-    allChats[0].forEach(({ file_name }) => {
-        previousNodes[file_name] = 'root';
-    });
-
-    for (let messagesAtIndex = 0; messagesAtIndex < allChats.length; messagesAtIndex++) {
-        let groups = groupMessagesByContent(allChats[messagesAtIndex]);
-
-        for (const [text, group] of Object.entries(groups)) {
-            let nodeId = `message${keyCounter}`;
-            let parentNodeId = previousNodes[group[0].file_name];
-
-            let node = createNode(nodeId, parentNodeId, text, group);
-
-            // If it's not the first node, extract swipes and store node and edge data for the parent node
-            if (messagesAtIndex !== 0) {
-                let allSwipes = [];
-                group.forEach(messageObj => {
-                    const swipes = messageObj.message.swipes || [];
-                    allSwipes.push(...swipes);
-                });
-
-                // Deduplicating swipes and filtering out swipes with same content as the message
-                let uniqueSwipes = [...new Set(allSwipes)].filter(swipeText => swipeText !== text);
-
-                if (!parentSwipeData[parentNodeId]) {
-                    parentSwipeData[parentNodeId] = {
-                        storedSwipes: [],
-                        totalSwipes: 0,
-                        currentSwipeIndex: uniqueSwipes.indexOf(text),
-                    };
-                }
-
-                parentSwipeData[parentNodeId].totalSwipes += uniqueSwipes.length;
-
-                // Store node and edge data for each swipe in parentSwipeData
-                uniqueSwipes.forEach(swipeText => {
-                    let swipeNodeId = `swipe${keyCounter}-${parentSwipeData[parentNodeId].totalSwipes}`;
-                    let swipeIndex = allSwipes.indexOf(swipeText);  // Fetching the index of the swipe from the original swipes list
-                    let swipeNode = {
-                        ...node,
-                        id: swipeNodeId,
-                        msg: swipeText,
-                        isSwipe: true,
-                        swipeId: swipeIndex,  // Storing the index as swipeId in the node data
-                    };
-                    delete swipeNode.swipes;
-
-                    let swipeEdge = {
-                        id: `edgeSwipe${keyCounter}`,
-                        source: parentNodeId,
-                        target: swipeNodeId,
-                        isSwipe: true,
-                        swipeId: swipeIndex,  // Storing the index as swipeId in the edge data
-                    };
-
-                    parentSwipeData[parentNodeId].storedSwipes.push({ node: swipeNode, edge: swipeEdge });
-                    keyCounter += 1;
-                });
-            }
-
-            cyElements.push({
-                group: 'nodes',
-                data: node,
-            });
-
-            // Create edge for this node
-            cyElements.push({
-                group: 'edges',
-                data: {
-                    id: `edge${keyCounter}`,
-                    source: parentNodeId,
-                    target: nodeId,
-                },
-            });
-
-            keyCounter += 1;
-
-            updatePreviousNodes(previousNodes, nodeId, group);
-        }
+function runBuildTask(type, ...args) {
+    const worker = getBuildWorker();
+    if (!worker) {
+        return Promise.resolve(localBuildTasks[type](...args));
     }
-
-    // Update cyElements with data from parentSwipeData
-    cyElements.forEach(element => {
-        if (element.group === 'nodes' && parentSwipeData[element.data.id]) {
-            Object.assign(element.data, parentSwipeData[element.data.id]);
+    return new Promise((resolve, reject) => {
+        const id = nextBuildTaskId++;
+        pendingBuildTasks.set(id, { type, args, resolve, reject });
+        try {
+            worker.postMessage({ id, type, args });
+        } catch (error) {
+            pendingBuildTasks.delete(id);
+            reject(error);
         }
     });
+}
 
-    return cyElements;
+/**
+ * Replaces the messages of a single chat session in the current timeline and returns the updated elements.
+ * Only the nodes along that session change; all other nodes keep their IDs, so the result can be
+ * applied to an existing Cytoscape instance by diffing.
+ *
+ * @async
+ * @param {string} file_name - The chat file name of the session (group chat ID for group chats).
+ * @param {Array} messages - The current messages of the session.
+ * @param {Object} [chat_metadata] - The current `chat_metadata` of the session, if known.
+ * @returns {Promise<Array|null>} The updated list of node and edge objects, or null if no timeline has been built yet.
+ */
+export function updateChatSession(file_name, messages, chat_metadata = undefined) {
+    let metadata = {};
+    if (chat_metadata) {
+        // The live chat has no header line, so keep the header fields from the loaded file
+        const { main_chat, note_prompt, variables } = extractSessionMetadata(null, chat_metadata);
+        metadata[file_name] = { ...sessionMetadata[file_name], main_chat, note_prompt, variables };
+        sessionMetadata[file_name] = metadata[file_name];
+    }
+    return runBuildTask('update', { [file_name]: messages }, metadata);
 }
 
+/**
+ * Returns the header metadata of a chat session in the current timeline.
+ *
+ * @param {string} file_name - The chat file name of the session (group chat ID for group chats).
+ * @returns {Object|undefined} The metadata, see `extractSessionMetadata`, or undefined if the session is not loaded.
+ */
+export function getSessionMetadata(file_name) {
+    return sessionMetadata[file_name];
+}
 
 /**
- * Constructs a Cytoscape node object based on provided message details.
- * The function identifies special messages, such as bookmarks, and adjusts the node
- * properties accordingly. The returned node contains properties that help render and
- * differentiate it within the Cytoscape graph, such as color for bookmarks.
+ * Fetches all chats associated with a specific character based on their avatar URL.
  *
- * @param {string} nodeId - The unique ID to assign to the node.
- * @param {string} parentNodeId - The ID of the node from which this node originates (previous message).
- * @param {string} text - The message content.
- * @param {Array} group - A list of message objects that share the same content across chat files.
- * @returns {Object} - A Cytoscape node object with properties set based on the message details.
+ * @async
+ * @param {string} characterAvatar - The URL of the character's avatar, used as an identifier to fetch chats.
+ * @returns {Promise<Object|undefined>} A promise that resolves with the JSON representation of the chat data
+ *                                      or undefined if the fetch request is not successful.
+ * @throws Will throw an error if there's an issue with the fetch request itself.
+ */
+export async function fetchData(characterAvatar) {
+    const response = await fetch('/api/characters/chats', {
+        method: 'POST',
+        body: JSON.stringify({ avatar_url: characterAvatar }),
+        headers: getRequestHeaders(),
+    });
+    if (!response.ok) {
+        return;
+    }
+    return response.json();
+}
+
+/**
+ * Downloads a single chat file.
  *
- * Behavior:
- * 1. Checks if any message in the group is a bookmark and extracts relevant details.
- * 2. Determines node properties, such as color for bookmarks, based on the message details.
- * 3. Constructs and returns the node object.
+ * @async
+ * @param {string} file_name - The chat file name (group chat ID for group chats).
+ * @param {boolean} isGroupChat - Whether the file is a group chat.
+ * @param {Object} character - The character owning the chat, for individual chats.
+ * @param {AbortSignal} [signal] - Optional signal to abort the request.
+ * @returns {Promise<Array|null>} The parsed chat file, or null if it could not be fetched or was aborted.
  */
-function createNode(nodeId, parentNodeId, text, group) {
-    let bookmark = group.find(({ message }) => {
-        // Check if the message is from the system and if it indicates a bookmark
-        if (message.is_system && message.mes.includes('Bookmark created! Click here to open the bookmark chat')) return true;
+async function fetchChatFile(file_name, isGroupChat, character, signal = undefined) {
+    try {
+        const endpoint = isGroupChat ? '/api/chats/group/get' : '/api/chats/get';
+        const requestBody = isGroupChat
+            ? JSON.stringify({ id: file_name })
+            : JSON.stringify({
+                ch_name: character.name,
+                file_name: file_name.replace('.jsonl', ''),
+                avatar_url: character.avatar,
+            });
 
-        // Original bookmark case
-        return !!message.extra && !!message.extra.bookmark_link;
-    });
+        const chatResponse = await fetch(endpoint, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: requestBody,
+            cache: 'no-cache',
+            signal,
+        });
 
-    let isBookmark = Boolean(bookmark);
+        if (!chatResponse.ok) {
+            return null;
+        }
 
-    // Extract bookmarkName and fileNameForNode depending on bookmark type
-    let bookmarkName, fileNameForNode;
-    if (isBookmark) {
-        if (bookmark.message.extra && bookmark.message.extra.bookmark_link) {
-            bookmarkName = bookmark.message.extra.bookmark_link;
-            fileNameForNode = bookmark.file_name;
-        } else {
-            // Extract file_name from the anchor tag in 'mes'
-            let match = bookmark.message.mes.match(/file_name=\"(.*?)\"/);
-            bookmarkName = match ? match[1] : null;
-            fileNameForNode = bookmarkName;
+        return await chatResponse.json();
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            console.error(error);
         }
-    } else {
-        fileNameForNode = group[0].file_name;
+        return null;
     }
-
-
-    let { is_name, is_user, name, send_date, is_system } = group[0].message;  // Added is_system here
-
-    return {
-        id: nodeId,
-        msg: text,
-        isBookmark: isBookmark,
-        bookmarkName: bookmarkName,
-        file_name: fileNameForNode,
-        is_name: is_name,
-        is_user: is_user,
-        is_system: is_system,  // Added is_system to node properties
-        name: name,
-        send_date: send_date,
-        messageIndex: group[0].index,
-        color: isBookmark ? generateUniqueColor() : null,
-        chat_sessions: group.map(({ file_name }) => file_name),
-        chat_sessions_str: ';' + group.map(({ file_name }) => file_name).join(';') + ';',
-    };
 }
 
 /**
- * Groups messages by their content to create a collection of unique messages.
- * This function helps in creating a representative node for each unique message across chat sessions.
+ * Runs an async task for every item, with at most `concurrency` tasks in flight at a time.
+ * Once the signal is aborted, no new tasks are started.
  *
- * @param {Array} messages - A list of message objects, each containing file_name and message details.
- * @returns {Object} groups - An object where the key is the unique message content and the value is
- *                            an array of message objects that share that content.
+ * @async
+ * @param {Array} items - The items to process.
+ * @param {Function} task - Async function called with each item.
+ * @param {number} concurrency - The maximum number of tasks running at the same time.
+ * @param {AbortSignal} [signal] - Optional signal to stop starting new tasks.
+ * @returns {Promise<void>} Resolves once all started tasks have finished.
  */
-function groupMessagesByContent(messages) {
-    let groups = {};
-    messages.forEach((messageObj, index) => {
-        let { file_name, message } = messageObj;
-        //System agnostic check for newlines
-        try {
-            message.mes = message.mes.replace(/\r\n/g, '\n');
-            if (!groups[message.mes]) {
-                groups[message.mes] = [];
-            }
-            groups[message.mes].push({ file_name, index, message });
-        } catch (e) {
-            console.log(`Message Grouping Error: ${e}: ${JSON.stringify(message, null, 4)}`);
+async function runConcurrently(items, task, concurrency, signal = undefined) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (next < items.length && !signal?.aborted) {
+            await task(items[next++]);
         }
     });
-    return groups;
+    await Promise.all(runners);
 }
 
 /**
- * Updates the record of the last node associated with each chat in a given group.
- * This function is used during node creation to keep track of the originating node for each message.
+ * Loads a chat file from the chat cache if the cached copy is still fresh, and downloads (and caches) it otherwise.
  *
- * @param {Object} previousNodes - An object where keys are file names and values are the most recent node keys.
- * @param {string} nodeKey - The unique key of the node being processed.
- * @param {Array} group - A list of message objects that share the same content across chat files.
+ * @async
+ * @param {string} owner - The avatar file name of the character, or the group ID for group chats.
+ * @param {Object} chat - The chat file metadata, with `file_name` and, for individual chats, `file_size` and `last_mes`.
+ * @param {Object|null} character - The character owning the chat, or null for group chats.
+ * @param {AbortSignal} [signal] - Optional signal to abort the download.
+ * @returns {Promise<Array|null>} The parsed chat file, a stale cached copy if the download failed, or null.
  */
-function updatePreviousNodes(previousNodes, nodeKey, group) {
-    group.forEach(({ file_name }) => {
-        previousNodes[file_name] = nodeKey;
-    });
+async function loadChatFile(owner, chat, character, signal = undefined) {
+    const key = getChatCacheKey(owner, chat.file_name);
+    const entry = await getCachedChat(key);
+    if (isCacheEntryFresh(entry, chat)) {
+        return entry.chat;
+    }
+    const chatFile = await fetchChatFile(chat.file_name, !character, character, signal);
+    if (chatFile) {
+        putCachedChat(key, { file_size: chat.file_size, last_mes: chat.last_mes, chat: chatFile });
+        return chatFile;
+    }
+    return entry?.chat ?? null;
 }
 
 /**
- * Postprocesses the constructed nodes, allowing for potential modifications or additions.
- * Currently a placeholder; it can be expanded with additional steps if required in the future.
+ * Goes through the chats of every character and group, e.g. for a search across all of them.
+ * Chat files are loaded through the chat cache, with bounded concurrency, and handed to `visit` one at a time
+ * as they arrive; they are not kept in memory afterwards.
  *
- * @param {Array} nodeData - A list of node objects constructed by the buildNodes function.
- * @returns {Array} nodeData - The potentially modified list of node objects.
+ * @async
+ * @param {Function} visit - Called as `visit(owner, file_name, messages)`, where `owner` is
+ *                           `{ type: 'character' | 'group', id, name }` with the avatar file name or group ID as `id`.
+ * @param {Object} [options] - Optional callbacks and cancellation.
+ * @param {Function} [options.onProgress] - Called as `onProgress(loaded, total)` whenever a chat has been visited.
+ * @param {AbortSignal} [options.signal] - Signal to stop loading further chats.
+ * @returns {Promise<void>} Resolves once all chats have been visited, or after the signal was aborted.
  */
-function postprocessNodes(nodeData) {
-    // Placeholder for now; add additional steps if needed
-    return nodeData;
+export async function forEachChat(visit, { onProgress = null, signal = undefined } = {}) {
+    const context = getContext();
+    let chats = []; // { owner, character, chat }
+
+    await runConcurrently(context.characters, async (character) => {
+        const data = await fetchData(character.avatar).catch(error => console.error(error));
+        const owner = { type: 'character', id: character.avatar, name: character.name };
+        if (data) {
+            pruneCachedChats(owner.id, Object.values(data).map(chat => chat.file_name));
+        }
+        Object.values(data || {}).forEach(chat => chats.push({ owner, character, chat }));
+    }, FETCH_CONCURRENCY, signal);
+    context.groups.forEach(group => {
+        const owner = { type: 'group', id: group.id, name: group.name };
+        pruneCachedChats(owner.id, group.chats || []);
+        (group.chats || []).forEach(file_name => chats.push({ owner, character: null, chat: { file_name } }));
+    });
+
+    let loaded = 0;
+    onProgress && onProgress(loaded, chats.length);
+    await runConcurrently(chats, async ({ owner, character, chat }) => {
+        const chatFile = await loadChatFile(owner.id, chat, character, signal);
+        if (chatFile && !signal?.aborted) {
+            visit(owner, chat.file_name, getChatMessages(chatFile, !character));
+        }
+        loaded++;
+        onProgress && onProgress(loaded, chats.length);
+    }, FETCH_CONCURRENCY, signal);
 }
 
 /**
- * Converts a given chat history into elements suitable for visualization in Cytoscape.
- * This function orchestrates the entire process, from preprocessing chat sessions to postprocessing nodes.
+ * Builds the timeline of any character or group, e.g. for showing several timelines side by side. All chats are
+ * loaded through the chat cache before building. Unlike `prepareData`, this leaves the current timeline alone:
+ * the graph is built detached from it, so the session metadata and incremental updates of the current timeline
+ * are not affected.
  *
- * @param {Object} chatHistory - An object containing chat files as keys and their message sequences as values.
- * @returns {Array} nodeData - A list of node (and potentially edge) objects suitable for Cytoscape graph library.
+ * @async
+ * @param {Object} owner - The character or group as `{ type: 'character' | 'group', id, name }`, see `forEachChat`.
+ * @param {Object} [options] - Optional callbacks and cancellation.
+ * @param {Function} [options.onProgress] - Called as `onProgress(loaded, total)` whenever a chat has been loaded.
+ * @param {AbortSignal} [options.signal] - Signal to stop loading; the timeline is built from the chats loaded so far.
+ * @param {Object} [options.colorOptions] - The palette and contrast options for bookmark path colors.
+ * @returns {Promise<Array>} The list of nodes and edges, empty if the character or group no longer exists.
  */
-function convertToCytoscapeElements(chatHistory) {
-    let allChats = preprocessChatSessions(chatHistory);
-    let nodeData = buildNodes(allChats);
-    nodeData = postprocessNodes(nodeData);
-    return nodeData;
+export async function buildOwnerTimeline(owner, { onProgress = null, signal = undefined, colorOptions = null } = {}) {
+    const context = getContext();
+    const character = owner.type === 'character' ? context.characters.find(x => x.avatar === owner.id) : null;
+    const group = owner.type === 'group' ? context.groups.find(x => x.id === owner.id) : null;
+    if (!character && !group) {
+        return [];
+    }
+
+    const data = character ? await fetchData(character.avatar) : (group.chats || []).map(file_name => ({ file_name }));
+    // Same order as in `prepareData`
+    const chat_list = Object.values(data || {}).sort((a, b) => a['file_name'].localeCompare(b['file_name'])).reverse();
+    if (data) {
+        pruneCachedChats(owner.id, chat_list.map(chat => chat.file_name));
+    }
+    let chatFiles = {};
+    let loaded = 0;
+    onProgress && onProgress(loaded, chat_list.length);
+    await runConcurrently(chat_list, async (chat) => {
+        chatFiles[chat.file_name] = await loadChatFile(owner.id, chat, character, signal);
+        loaded++;
+        onProgress && onProgress(loaded, chat_list.length);
+    }, FETCH_CONCURRENCY, signal);
+
+    let chat_dict = {};
+    let metadata = {};
+    for (const { file_name } of chat_list) {
+        if (chatFiles[file_name]) {
+            metadata[file_name] = getChatFileMetadata(chatFiles[file_name], file_name, group);
+            chat_dict[file_name] = getChatMessages(chatFiles[file_name], Boolean(group));
+        }
+    }
+    return runBuildTask('buildDetached', chat_dict, colorOptions, metadata);
 }
 
 /**
- * Generate a unique random RGB color string.
+ * Picks the metadata of a chat session that the timeline shows or uses for branch ancestry.
  *
- * @returns {string} Random RGB color in the format "rgb(r, g, b)".
+ * @param {Object|null} header - The first line of an individual chat file, or null for group chats.
+ * @param {Object} [chat_metadata] - The chat metadata, if not taken from the header.
+ * @returns {Object} The metadata `{ user_name, character_name, create_date, main_chat, note_prompt, variables }`.
+ *                   Fields missing from the chat are undefined.
  */
-export function generateUniqueColor() {
-    const randomRGBValue = () => Math.floor(Math.random() * 256);
-    return `rgb(${randomRGBValue()}, ${randomRGBValue()}, ${randomRGBValue()})`;
+function extractSessionMetadata(header, chat_metadata = header?.chat_metadata) {
+    return {
+        user_name: header?.user_name,
+        character_name: header?.character_name,
+        create_date: header?.create_date,
+        main_chat: chat_metadata?.main_chat,
+        note_prompt: chat_metadata?.note_prompt,
+        variables: chat_metadata?.variables,
+    };
 }
 
 /**
- * Fetches all chats associated with a specific character based on their avatar URL.
+ * Extracts the session metadata from a parsed chat file. Group chat files have no header line;
+ * their metadata is stored with the group instead.
  *
- * @async
- * @param {string} characterAvatar - The URL of the character's avatar, used as an identifier to fetch chats.
- * @returns {Promise<Object|undefined>} A promise that resolves with the JSON representation of the chat data
- *                                      or undefined if the fetch request is not successful.
- * @throws Will throw an error if there's an issue with the fetch request itself.
+ * @param {Array} chatFile - The parsed chat file.
+ * @param {string} file_name - The chat file name (group chat ID for group chats).
+ * @param {Object|null} group - The group owning the chat, or null for individual chats.
+ * @returns {Object} The session metadata, see `extractSessionMetadata`.
  */
-export async function fetchData(characterAvatar) {
-    const response = await fetch('/api/characters/chats', {
-        method: 'POST',
-        body: JSON.stringify({ avatar_url: characterAvatar }),
-        headers: getRequestHeaders(),
-    });
-    if (!response.ok) {
-        return;
+function getChatFileMetadata(chatFile, file_name, group) {
+    if (group) {
+        return extractSessionMetadata(null, group.past_metadata?.[file_name]);
     }
-    return response.json();
+    return extractSessionMetadata(chatFile[0]);
+}
+
+/**
+ * Extracts the messages from a parsed chat file.
+ *
+ * @param {Array} chatFile - The parsed chat file.
+ * @param {boolean} isGroupChat - Whether the file is a group chat.
+ * @returns {Array} The chat messages.
+ */
+function getChatMessages(chatFile, isGroupChat) {
+    // The first line of individual chats is metadata, not a message
+    return isGroupChat ? chatFile : chatFile.slice(1);
 }
 
 /**
@@ -326,51 +366,119 @@ export async function fetchData(characterAvatar) {
  * the consolidated data into a format suitable for Cytoscape visualization. This function
  * fetches individual or group chat data based on the `isGroupChat` flag.
  *
+ * Chats are read from the local chat cache first. Files whose cached copy matches the size and last message
+ * date reported in `data` are not downloaded again, and cached chats that are no longer in `data` are dropped. If some chats were found in the cache, the timeline is
+ * built from the cache right away, while outdated and missing chats are downloaded in the background and
+ * merged in afterwards; `onReconciled` then receives the updated elements.
+ *
+ * The header metadata of every chat (see `getSessionMetadata`) is kept for the session list, and its
+ * `main_chat` links branches to the chat they were created from.
+ *
+ * Downloads run with bounded concurrency. If the signal is aborted, outstanding requests are cancelled
+ * and the timeline is built from the chats loaded so far.
+ *
  * @async
  * @param {Object} data - A dictionary containing summary or metadata of chats.
  * @param {boolean} isGroupChat - A flag indicating whether the chat data is for group chats (true)
  *                                or individual chats (false).
+ * @param {Object} [options] - Optional callbacks and cancellation.
+ * @param {Function} [options.onReconciled] - Called with the updated list of nodes and edges once the background
+ *                                            downloads changed the timeline, or with null if merging them failed.
+ * @param {Function} [options.onProgress] - Called as `onProgress(loaded, total, finished)` whenever a chat has been
+ *                                          loaded, and once more with `finished` set when loading is over.
+ * @param {AbortSignal} [options.signal] - Signal to cancel the outstanding downloads.
+ * @param {Object} [options.colorOptions] - The palette and contrast options for bookmark path colors.
  * @returns {Promise<Array>} A promise that resolves with a list of nodes (and potentially edges)
  *                           suitable for the Cytoscape graph library.
  * @throws Will throw an error if the fetch request or data processing encounters issues.
  */
-export async function prepareData(data, isGroupChat) {
+export async function prepareData(data, isGroupChat, { onReconciled = null, onProgress = null, signal = undefined, colorOptions = null } = {}) {
     const context = getContext();
+    const character = characters[context.characterId];
+    const owner = isGroupChat ? context.groupId : character.avatar;
+    const group = isGroupChat ? context.groups.find(x => x.id === context.groupId) : null;
     let chat_dict = {};
+    let metadata = {};
+    const readChat = (file_name, chatFile) => {
+        metadata[file_name] = getChatFileMetadata(chatFile, file_name, group);
+        return getChatMessages(chatFile, isGroupChat);
+    };
     let chat_list = Object.values(data).sort((a, b) => a['file_name'].localeCompare(b['file_name'])).reverse();
+    pruneCachedChats(owner, chat_list.map(chat => chat.file_name));
+
+    const cachedEntries = await Promise.all(chat_list.map(chat => getCachedChat(getChatCacheKey(owner, chat.file_name))));
+    let outdated = [];
+    chat_list.forEach((chat, index) => {
+        const entry = cachedEntries[index];
+        if (entry) {
+            chat_dict[chat.file_name] = readChat(chat.file_name, entry.chat);
+        }
+        if (!isCacheEntryFresh(entry, chat)) {
+            outdated.push(chat);
+        }
+    });
 
-    for (const { file_name } of chat_list) {
-        try {
-            const endpoint = isGroupChat ? '/api/chats/group/get' : '/api/chats/get';
-            const requestBody = isGroupChat
-                ? JSON.stringify({ id: file_name })
-                : JSON.stringify({
-                    ch_name: characters[context.characterId].name,
-                    file_name: file_name.replace('.jsonl', ''),
-                    avatar_url: characters[context.characterId].avatar,
-                });
-
-            const chatResponse = await fetch(endpoint, {
-                method: 'POST',
-                headers: getRequestHeaders(),
-                body: requestBody,
-                cache: 'no-cache',
-            });
+    const total = chat_list.length;
+    let loaded = total - outdated.length;
+    const reportProgress = (finished = false) => onProgress && onProgress(loaded, total, finished);
+    reportProgress();
+
+    const download = async (chat) => {
+        const chatFile = await fetchChatFile(chat.file_name, isGroupChat, character, signal);
+        if (chatFile) {
+            putCachedChat(getChatCacheKey(owner, chat.file_name), { file_size: chat.file_size, last_mes: chat.last_mes, chat: chatFile });
+            loaded++;
+            reportProgress();
+        }
+        return chatFile;
+    };
 
-            if (!chatResponse.ok) {
-                continue;
+    // Nothing to show yet, so wait for the downloads
+    if (Object.keys(chat_dict).length === 0) {
+        let chatFiles = {};
+        await runConcurrently(outdated, async (chat) => {
+            chatFiles[chat.file_name] = await download(chat);
+        }, FETCH_CONCURRENCY, signal);
+        // Keep the sorted order of the chat list, regardless of which download finished first
+        for (const { file_name } of chat_list) {
+            if (chatFiles[file_name]) {
+                chat_dict[file_name] = readChat(file_name, chatFiles[file_name]);
             }
+        }
+        reportProgress(true);
+        timelineGeneration++;
+        sessionMetadata = metadata;
+        return runBuildTask('build', chat_dict, colorOptions, metadata);
+    }
 
-            const currentChat = await chatResponse.json();
-            if (!isGroupChat) {
-                // remove the first message, which is metadata, only for individual chats
-                currentChat.shift();
+    const generation = ++timelineGeneration;
+    sessionMetadata = metadata;
+    const nodeData = await runBuildTask('build', chat_dict, colorOptions, metadata);
+    (async () => {
+        try {
+            let changedChats = {};
+            await runConcurrently(outdated, async (chat) => {
+                const chatFile = await download(chat);
+                if (chatFile) {
+                    changedChats[chat.file_name] = readChat(chat.file_name, chatFile);
+                }
+            }, FETCH_CONCURRENCY, signal);
+            // Don't merge into a timeline that has been replaced in the meantime
+            if (generation !== timelineGeneration) {
+                return;
+            }
+            reportProgress(true);
+            if (Object.keys(changedChats).length > 0 && onReconciled) {
+                onReconciled(await runBuildTask('update', changedChats, metadata));
             }
-            chat_dict[file_name] = currentChat;
-
         } catch (error) {
-            console.error(error);
+            console.error('Could not merge the downloaded chats into the timeline:', error);
+            if (generation === timelineGeneration) {
+                reportProgress(true);
+                // The timeline is out of date, so it is rebuilt on the next open
+                onReconciled && onReconciled(null);
+            }
         }
-    }
-    return convertToCytoscapeElements(chat_dict);
+    })();
+    return nodeData;
 }
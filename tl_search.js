@@ -0,0 +1,336 @@
+// Query language of the timeline search box. Queries are parsed into a small syntax tree and evaluated
+// against node data, so no user input ever ends up in a Cytoscape selector. Like tl_model.js, this module
+// has no dependencies on SillyTavern or Cytoscape.
+//
+// Syntax:
+//   word                 message contains the word (case-insensitive)
+//   "exact phrase"       message contains the phrase (case-insensitive)
+//   /regex/flags         message matches the regular expression (case-insensitive unless flags are given)
+//   speaker:name         speaker name contains name
+//   file:name            one of the node's chat files contains name
+//   before:date          sent before the date, e.g. before:2023-11-08
+//   after:date           sent after the date
+//   is:user|char|system|bookmark|swipe
+//   has:swipes
+//   a b, a AND b         both match
+//   a OR b               either matches
+//   NOT a, -a            a doesn't match
+//   ( ... )              grouping
+// Field values can be quoted (speaker:"Jane Doe") or regular expressions (file:/^Branch/).
+
+const FIELDS = ['speaker', 'file', 'before', 'after', 'is', 'has'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Splits a query into tokens. Quoted phrases and regular expressions are kept whole, and an unterminated
+ * quote or regular expression runs to the end of the query.
+ *
+ * @param {string} query - The search query.
+ * @returns {Array<Object>} The tokens: `{ type: '(' | ')' }`, `{ type: 'op', value: 'AND' | 'OR' | 'NOT' }`,
+ *                          or `{ type: 'term', field, value, kind }` where `kind` is 'word', 'phrase' or 'regex'.
+ */
+function tokenize(query) {
+    let tokens = [];
+    let i = 0;
+
+    // Reads a word, "phrase" or /regex/ starting at the current position
+    const readValue = () => {
+        const quote = query[i];
+        if (quote === '"' || quote === '/') {
+            let end = i + 1;
+            while (end < query.length && query[end] !== quote) {
+                // A backslash escapes the delimiter
+                end += query[end] === '\\' ? 2 : 1;
+            }
+            const value = query.slice(i + 1, Math.min(end, query.length));
+            i = end + 1;
+            if (quote === '"') {
+                return { kind: 'phrase', value: value.replace(/\\"/g, '"') };
+            }
+            const flags = query.slice(i).match(/^[a-z]*/)[0];
+            i += flags.length;
+            return { kind: 'regex', value, flags };
+        }
+        const word = query.slice(i).match(/^[^\s()]+/)[0];
+        i += word.length;
+        return { kind: 'word', value: word };
+    };
+
+    while (i < query.length) {
+        const char = query[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char });
+            i++;
+        } else if (char === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+            tokens.push({ type: 'op', value: 'NOT' });
+            i++;
+        } else {
+            const field = query.slice(i).match(/^([a-z]+):(?=[^\s()])/i);
+            if (field && FIELDS.includes(field[1].toLowerCase())) {
+                i += field[0].length;
+                tokens.push({ type: 'term', field: field[1].toLowerCase(), ...readValue() });
+                continue;
+            }
+            const term = readValue();
+            if (term.kind === 'word' && ['AND', 'OR', 'NOT'].includes(term.value)) {
+                tokens.push({ type: 'op', value: term.value });
+            } else {
+                tokens.push({ type: 'term', field: null, ...term });
+            }
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parses a search query into a syntax tree. The parser never throws: stray operators and closing parentheses
+ * are ignored, missing closing parentheses are implied, and an invalid regular expression searches for its
+ * source text instead.
+ *
+ * @param {string} query - The search query.
+ * @returns {Object|null} The root of the syntax tree, or null if the query contains no search terms.
+ *                        Tree nodes are `{ type: 'and' | 'or', children }`, `{ type: 'not', child }`
+ *                        and `{ type: 'term', field, kind, value, regex }`.
+ */
+export function parseSearchQuery(query) {
+    const tokens = tokenize(String(query ?? ''));
+    let position = 0;
+    const peek = () => tokens[position];
+
+    const parseOr = () => {
+        let children = [];
+        while (position < tokens.length && peek().type !== ')') {
+            const child = parseAnd();
+            if (child) {
+                children.push(child);
+            }
+            if (peek()?.type === 'op' && peek().value === 'OR') {
+                position++;
+            } else if (!child) {
+                break;
+            }
+        }
+        return children.length > 1 ? { type: 'or', children } : children[0] ?? null;
+    };
+
+    const parseAnd = () => {
+        let children = [];
+        while (position < tokens.length) {
+            const token = peek();
+            if (token.type === ')' || (token.type === 'op' && token.value === 'OR')) {
+                break;
+            }
+            if (token.type === 'op' && token.value === 'AND') {
+                position++;
+                continue;
+            }
+            const child = parseNot();
+            if (child) {
+                children.push(child);
+            }
+        }
+        return children.length > 1 ? { type: 'and', children } : children[0] ?? null;
+    };
+
+    const parseNot = () => {
+        const token = tokens[position++];
+        if (token.type === 'op' && token.value === 'NOT') {
+            if (position >= tokens.length || peek().type === ')') {
+                return null;
+            }
+            const child = parseNot();
+            return child ? { type: 'not', child } : null;
+        }
+        if (token.type === '(') {
+            const child = parseOr();
+            if (peek()?.type === ')') {
+                position++;
+            }
+            return child;
+        }
+        if (token.type === 'op') {
+            return null; // A stray AND or OR
+        }
+        return compileTerm(token);
+    };
+
+    let root = null;
+    while (position < tokens.length) {
+        const child = parseOr();
+        root = root && child ? { type: 'and', children: [root, child] } : root ?? child;
+        // Skip a stray closing parenthesis and go on with the rest of the query
+        if (peek()?.type === ')') {
+            position++;
+        }
+    }
+    return root;
+}
+
+/**
+ * Prepares a term token for evaluation: text terms get a regular expression, date terms a timestamp.
+ *
+ * @param {Object} token - A term token from `tokenize`.
+ * @returns {Object|null} The term node of the syntax tree, or null for an empty phrase or regular expression.
+ */
+function compileTerm({ field, kind, value, flags }) {
+    if (value === '') {
+        return null;
+    }
+    let term = { type: 'term', field, kind, value, regex: null };
+    if (kind === 'regex') {
+        try {
+            // Global and sticky regular expressions keep state between tests, so those flags are dropped
+            term.regex = new RegExp(value, flags.replace(/[gy]/g, '') || 'i');
+        } catch (error) {
+            term.kind = 'phrase';
+        }
+    }
+    if (!term.regex) {
+        term.regex = new RegExp(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+    if (field === 'before' || field === 'after') {
+        term.date = parseQueryDate(value);
+    }
+    return term;
+}
+
+/**
+ * Parses the date of a `before:` or `after:` term. A plain date (2023-11-08) stands for that whole day in
+ * local time, so `after:` a plain date means from the following day on.
+ *
+ * @param {string} value - The date as typed in the query.
+ * @returns {Object|null} `{ start, end }` as timestamps, the end being exclusive, or null if the date can't be parsed.
+ */
+function parseQueryDate(value) {
+    const day = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (day) {
+        const start = new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])).getTime();
+        return { start, end: start + DAY_MS };
+    }
+    const timestamp = parseSendDate(value);
+    return isNaN(timestamp) ? null : { start: timestamp, end: timestamp + 1 };
+}
+
+/**
+ * Parses the send date of a message. SillyTavern stores either a timestamp or a human readable date
+ * such as "November 8, 2023 3:49pm".
+ *
+ * @param {string|number} sendDate - The `send_date` of a message.
+ * @returns {number} The timestamp, or NaN if the date can't be parsed.
+ */
+export function parseSendDate(sendDate) {
+    if (typeof sendDate === 'number') {
+        return sendDate;
+    }
+    if (typeof sendDate !== 'string' || sendDate === '') {
+        return NaN;
+    }
+    if (/^\d+$/.test(sendDate)) {
+        return Number(sendDate);
+    }
+    // Date.parse needs a space between the time and am/pm
+    return Date.parse(sendDate.replace(/(\d)(am|pm)$/i, '$1 $2'));
+}
+
+/**
+ * Evaluates a term against the data of a node.
+ *
+ * @param {Object} term - A term node of the syntax tree.
+ * @param {Object} data - The node data.
+ * @returns {boolean} True if the node matches the term.
+ */
+function matchesTerm(term, data) {
+    const test = (value) => typeof value === 'string' && term.regex.test(value);
+    switch (term.field) {
+        case 'speaker':
+            return test(data.name);
+        case 'file':
+            return (data.chat_sessions || []).some(test);
+        case 'before':
+        case 'after': {
+            const timestamp = parseSendDate(data.send_date);
+            if (!term.date || isNaN(timestamp)) {
+                return false;
+            }
+            return term.field === 'before' ? timestamp < term.date.start : timestamp >= term.date.end;
+        }
+        case 'is':
+            switch (term.value.toLowerCase()) {
+                case 'user': return Boolean(data.is_user);
+                case 'char': return !data.is_user && !data.is_system && data.msg !== undefined;
+                case 'system': return Boolean(data.is_system);
+                case 'bookmark': return Boolean(data.isBookmark);
+                case 'swipe': return Boolean(data.isSwipe);
+                default: return false;
+            }
+        case 'has':
+            switch (term.value.toLowerCase()) {
+                case 'swipes': return data.totalSwipes > 0;
+                default: return false;
+            }
+        default:
+            return test(data.msg);
+    }
+}
+
+/**
+ * Evaluates a parsed query against the data of a node.
+ *
+ * @param {Object} ast - The syntax tree returned by `parseSearchQuery`.
+ * @param {Object} data - The node data.
+ * @returns {boolean} True if the node matches the query.
+ */
+export function matchesSearchQuery(ast, data) {
+    switch (ast.type) {
+        case 'and':
+            return ast.children.every(child => matchesSearchQuery(child, data));
+        case 'or':
+            return ast.children.some(child => matchesSearchQuery(child, data));
+        case 'not':
+            return !matchesSearchQuery(ast.child, data);
+        default:
+            return matchesTerm(ast, data);
+    }
+}
+
+/**
+ * Finds the parts of a message that the text terms of a query match, for highlighting them in search results.
+ * Terms under a NOT and field terms (speaker:, file:, ...) are not highlighted.
+ *
+ * @param {Object} ast - The syntax tree returned by `parseSearchQuery`.
+ * @param {string} text - The message text.
+ * @returns {Array<Array<number>>} Non-overlapping `[start, end]` ranges, sorted by position.
+ */
+export function getSearchHighlightRanges(ast, text) {
+    let ranges = [];
+    const collect = (node, negated) => {
+        if (node.type === 'not') {
+            collect(node.child, !negated);
+        } else if (node.children) {
+            node.children.forEach(child => collect(child, negated));
+        } else if (!negated && node.field === null) {
+            for (const match of text.matchAll(new RegExp(node.regex.source, node.regex.flags + 'g'))) {
+                if (match[0].length > 0) {
+                    ranges.push([match.index, match.index + match[0].length]);
+                }
+            }
+        }
+    };
+    if (ast && typeof text === 'string') {
+        collect(ast, false);
+    }
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    let merged = [];
+    ranges.forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+    return merged;
+}
@@ -0,0 +1,135 @@
+// Chain compression for the compact mode: runs of messages that continue straight on, without forks or
+// bookmarks, are folded into one segment node each, so the structure of long chats fits on the screen.
+// Like tl_model.js, this module has no dependencies on SillyTavern or Cytoscape.
+import { parseSendDate } from './tl_search.js';
+
+const MIN_SEGMENT_LENGTH = 3; // Shorter runs are left as they are, folding them saves too little
+
+/**
+ * Returns the ID of the segment node a run of messages is folded into.
+ *
+ * @param {string} firstNodeId - The ID of the first message of the run.
+ * @returns {string} The segment node ID.
+ */
+export function getSegmentNodeId(firstNodeId) {
+    return `segment:${firstNodeId}`;
+}
+
+/**
+ * Formats the send date of a message as a date without the time.
+ *
+ * @param {string|number} sendDate - The `send_date` of a message.
+ * @returns {string} The date, or an empty string if it can't be parsed.
+ */
+function formatSegmentDate(sendDate) {
+    const timestamp = parseSendDate(sendDate);
+    return isNaN(timestamp) ? '' : new Date(timestamp).toLocaleDateString();
+}
+
+/**
+ * Builds the data of the segment node of a run.
+ *
+ * @param {Array<Object>} run - The node data of the messages in the run, in message order.
+ * @returns {Object} The segment node data. It carries `isSegment`, the `segmentNodeIds`, the `messageCount`,
+ *                   the `firstDate` and `lastDate` and the `segmentLabel` made of them.
+ */
+function createSegmentData(run) {
+    const first = run[0];
+    const last = run[run.length - 1];
+    const from = formatSegmentDate(first.send_date);
+    const to = formatSegmentDate(last.send_date);
+    let label = `${run.length} messages`;
+    if (from) {
+        label += `\n${from}${to && to !== from ? ` – ${to}` : ''}`;
+    }
+
+    let data = {
+        id: getSegmentNodeId(first.id),
+        isSegment: true,
+        segmentNodeIds: run.map(node => node.id),
+        messageCount: run.length,
+        firstDate: first.send_date,
+        lastDate: last.send_date,
+        segmentLabel: label,
+    };
+    // Segments on a bookmark path keep its color
+    if (last.borderColor) {
+        data.borderColor = last.borderColor;
+    }
+    return data;
+}
+
+/**
+ * Folds every run of messages with exactly one child into a segment node. Forks, bookmarks, leaves and the
+ * root stay, as do the nodes to keep, e.g. the selected node or nodes whose swipes are shown.
+ * The edges into and out of a run are replaced by edges to and from its segment, with the data of
+ * the replaced edges, so bookmark paths keep their colors.
+ *
+ * @param {Array<Object>} elements - The list of node and edge objects of the message graph.
+ * @param {Set<string>} [keepIds] - The IDs of the nodes that must not be folded.
+ * @returns {Array<Object>} The list of node and edge objects with the runs folded, in the order of the input.
+ */
+export function compressChains(elements, keepIds = new Set()) {
+    let nodes = new Map();
+    let childCounts = new Map();
+    let parents = new Map();
+    let children = new Map(); // Node ID -> its last child, the only one for nodes in a run
+    elements.forEach(({ group, data }) => {
+        if (group === 'nodes') {
+            nodes.set(data.id, data);
+        } else {
+            childCounts.set(data.source, (childCounts.get(data.source) || 0) + 1);
+            parents.set(data.target, data.source);
+            children.set(data.source, data.target);
+        }
+    });
+    const isFoldable = (id) => id !== 'root' && childCounts.get(id) === 1 && !nodes.get(id).isBookmark && !keepIds.has(id);
+
+    // A run starts at a foldable node whose parent isn't, and follows the only child while it is foldable
+    let runs = new Map(); // Node ID -> the run it belongs to
+    nodes.forEach((data, id) => {
+        if (!isFoldable(id) || isFoldable(parents.get(id))) {
+            return;
+        }
+        let run = [];
+        for (let current = id; nodes.has(current) && isFoldable(current); current = children.get(current)) {
+            run.push(nodes.get(current));
+        }
+        if (run.length >= MIN_SEGMENT_LENGTH) {
+            run.forEach(node => runs.set(node.id, run));
+        }
+    });
+    if (runs.size === 0) {
+        return elements;
+    }
+
+    let result = [];
+    elements.forEach(element => {
+        const { group, data } = element;
+        if (group === 'nodes') {
+            const run = runs.get(data.id);
+            if (!run) {
+                result.push(element);
+            } else if (run[0] === data) {
+                result.push({ group: 'nodes', data: createSegmentData(run) });
+            }
+            return;
+        }
+
+        const sourceRun = runs.get(data.source);
+        const targetRun = runs.get(data.target);
+        if (sourceRun && targetRun) {
+            return; // Inside a run
+        }
+        if (targetRun) {
+            result.push({ group: 'edges', data: { ...data, id: `${getSegmentNodeId(data.target)}:in`, target: getSegmentNodeId(data.target) } });
+        } else if (sourceRun) {
+            // The run ends earlier when some of its nodes are kept, so the target is part of the ID
+            const segmentId = getSegmentNodeId(sourceRun[0].id);
+            result.push({ group: 'edges', data: { ...data, id: `${segmentId}:out:${data.target}`, source: segmentId } });
+        } else {
+            result.push(element);
+        }
+    });
+    return result;
+}
@@ -0,0 +1,158 @@
+// File-level genealogy of the chat sessions in a timeline: which chat was branched or checkpointed from which.
+// Like tl_model.js, this module has no dependencies on SillyTavern or Cytoscape.
+import { getDepth, getSessionNodeIds } from './tl_model.js';
+
+/**
+ * Returns the ID of the session graph node of a chat file.
+ *
+ * @param {string} session - The chat file name.
+ * @returns {string} The node ID.
+ */
+export function getSessionNodeId(session) {
+    return `session:${session}`;
+}
+
+/**
+ * Looks up the session a chat name refers to. Individual chats are keyed by file name, while `main_chat`
+ * and bookmark links name the chat without the extension; group chats are keyed by their ID.
+ *
+ * @param {Object} model - The graph model, see `createGraphModel`.
+ * @param {string} chatName - The chat name.
+ * @returns {string|undefined} The session key, or undefined if the chat is not in the timeline.
+ */
+function findSession(model, chatName) {
+    return [`${chatName}.jsonl`, chatName].find(name => model.sessions.has(name));
+}
+
+/**
+ * Returns the IDs of a session's message nodes, from its first message to its last.
+ *
+ * @param {Object} model - The graph model.
+ * @param {string} session - The chat file name.
+ * @returns {Array<string>} The node IDs in message order.
+ */
+function getSessionPath(model, session) {
+    return [...getSessionNodeIds(model, session)].sort((a, b) => getDepth(model, a) - getDepth(model, b));
+}
+
+/**
+ * Finds the message where a session diverges: the last message it shares with its origin session,
+ * or with any other session if it has no known origin.
+ *
+ * @param {Object} model - The graph model.
+ * @param {string} session - The chat file name.
+ * @param {string|null} origin - The chat file name of the session it was created from, if known.
+ * @returns {string|null} The node ID of the divergence point, the first message if the session shares
+ *                        nothing, or null if the session has no messages.
+ */
+export function getDivergenceNodeId(model, session, origin) {
+    const path = getSessionPath(model, session);
+    let divergence = null;
+    for (const id of path) {
+        const sessions = model.nodes.get(id).chat_sessions || [];
+        const shared = origin ? sessions.includes(origin) : sessions.length > 1;
+        if (!shared) {
+            break;
+        }
+        divergence = id;
+    }
+    return divergence ?? path[0] ?? null;
+}
+
+/**
+ * Determines the session each session was created from. The `main_chat` metadata of a session wins;
+ * otherwise a bookmark pointing at the session identifies the chat it was checkpointed from.
+ * Links that would form a cycle are dropped.
+ *
+ * @param {Object} model - The graph model.
+ * @param {Function} getMetadata - Returns the header metadata of a session by file name, see `getSessionMetadata`.
+ * @returns {Map<string, Object>} Session -> `{ origin, via }`, where `via` is 'main_chat' or 'bookmark'.
+ */
+function findSessionOrigins(model, getMetadata) {
+    let candidates = new Map();
+    model.nodes.forEach(node => {
+        if (!node.isBookmark || node.isSwipe || !node.bookmarkName) {
+            return;
+        }
+        const target = findSession(model, node.bookmarkName);
+        const origin = node.file_name !== target ? node.file_name : (node.chat_sessions || []).find(session => session !== target);
+        if (target && origin && model.sessions.has(origin) && !candidates.has(target)) {
+            candidates.set(target, { origin, via: 'bookmark' });
+        }
+    });
+    model.sessions.forEach((_, session) => {
+        const mainChat = getMetadata(session)?.main_chat;
+        const origin = mainChat && findSession(model, mainChat);
+        if (origin && origin !== session) {
+            candidates.set(session, { origin, via: 'main_chat' });
+        }
+    });
+
+    let origins = new Map();
+    candidates.forEach((link, session) => {
+        // Walk up from the origin; reaching the session again means the link closes a cycle
+        for (let current = link.origin; current; current = origins.get(current)?.origin) {
+            if (current === session) {
+                return;
+            }
+        }
+        origins.set(session, link);
+    });
+    return origins;
+}
+
+/**
+ * Builds the elements of the sessions view: one node per chat file, below the root, and an edge from
+ * every session to the session it was branched or checkpointed from.
+ *
+ * @param {Object} model - The graph model of the message timeline.
+ * @param {Function} getMetadata - Returns the header metadata of a session by file name, see `getSessionMetadata`.
+ * @returns {Array<Object>} The list of node and edge objects for Cytoscape. Session nodes carry `isSession`,
+ *                          the `file_name`, `messageCount`, `lastDate` and the `divergenceNodeId` in the message graph.
+ */
+export function buildSessionElements(model, getMetadata) {
+    const origins = findSessionOrigins(model, getMetadata);
+    let nodes = [{
+        group: 'nodes',
+        data: { id: 'root', label: 'root', x: 0, y: 0 },
+    }];
+    let edges = [];
+
+    model.sessions.forEach((_, session) => {
+        const path = getSessionPath(model, session);
+        const lastMessage = model.nodes.get(path[path.length - 1]);
+        const link = origins.get(session);
+        const divergenceNode = model.nodes.get(getDivergenceNodeId(model, session, link?.origin ?? null));
+        const id = getSessionNodeId(session);
+        const lastDate = lastMessage?.send_date || '';
+
+        nodes.push({
+            group: 'nodes',
+            data: {
+                id,
+                isSession: true,
+                file_name: session,
+                messageCount: path.length,
+                lastDate,
+                divergenceNodeId: divergenceNode?.id ?? null,
+                sessionLabel: `${session.split('.jsonl')[0]}\n${path.length} message${path.length === 1 ? '' : 's'}${lastDate ? ` · ${lastDate}` : ''}`,
+            },
+        });
+
+        let edge = {
+            id: `sessionEdge:${session}`,
+            source: link ? getSessionNodeId(link.origin) : 'root',
+            target: id,
+            isSession: true,
+            via: link?.via ?? null,
+        };
+        // Checkpoints keep the color of their bookmark path
+        if (link?.via === 'bookmark' && divergenceNode?.color) {
+            Object.assign(edge, { isHighlight: true, color: divergenceNode.color, bookmarkName: divergenceNode.bookmarkName });
+        }
+        edges.push({ group: 'edges', data: edge });
+    });
+
+    // Edges may point at sessions that come later, so all nodes go first
+    return [...nodes, ...edges];
+}
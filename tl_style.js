@@ -1,6 +1,10 @@
 import { extension_settings, getContext, loadExtensionSettings } from '../../../extensions.js';
 import { characters, getRequestHeaders, openCharacterChat, saveSettingsDebounced, getThumbnailUrl } from '../../../../script.js';
 import { power_user } from '../../../power-user.js';
+import { BOOKMARK_PALETTES } from './tl_colors.js';
+import { parseSendDate } from './tl_search.js';
+
+const EDGE_LABEL_FONT_SIZE = 8;
 
 
 /**
@@ -15,73 +19,58 @@ function getAlphaFromRGBA(rgbaString) {
 }
 
 /**
- * Highlights the path from a specified bookmark node to the root in a data structure representing a graph.
- * The function iteratively traces and highlights edges and nodes, adjusting visual attributes like color, thickness, and zIndex.
+ * Formats the time between two messages compactly, e.g. "+45s", "+3h" or "+12d".
  *
- * @param {Object} rawData - The data structure representing the graph with nodes and edges.
- * @param {string|number} bookmarkNodeId - The ID of the bookmark node to start highlighting from.
- * @param {number} currentHighlightThickness - The starting thickness for highlighting edges (default is 4).
- * @param {number} startingZIndex - The starting zIndex for nodes and edges to be highlighted (default is 1000).
+ * @param {number} ms - The time in milliseconds.
+ * @returns {string} The formatted time.
  */
-function highlightPathToRoot(rawData, bookmarkNodeId, currentHighlightThickness = 4, startingZIndex = 1000) {
-    let bookmarkNode = Object.values(rawData).find(entry =>
-        entry.group === 'nodes' && entry.data.id === bookmarkNodeId,
-    );
-
-    if (!bookmarkNode) {
-        console.error('Bookmark node not found!');
-        return;
-    }
-
-    let currentNode = bookmarkNode;
-    let currentZIndex = startingZIndex;
-    while (currentNode) {
-        // If the current node has the isBookmark attribute and it's not the initial bookmarkNode, stop highlighting
-        if (currentNode !== bookmarkNode && currentNode.data.isBookmark) {
-            break; // exit from the while loop
+function formatTimeGap(ms) {
+    // Each unit is used below its limit, then converted to the next one by the divisor
+    const units = [['s', 60, 60], ['m', 60, 60], ['h', 48, 24], ['d', 365, 365]];
+    let value = Math.round(ms / 1000);
+    for (const [unit, limit, divisor] of units) {
+        if (value < limit) {
+            return `+${value}${unit}`;
         }
+        value = Math.floor(value / divisor);
+    }
+    return `+${value}y`;
+}
 
-        let incomingEdge = Object.values(rawData).find(entry =>
-            entry.group === 'edges' && entry.data.target === currentNode.data.id,
-        );
-
-        if (incomingEdge) {
-            incomingEdge.data.isHighlight = true;
-            incomingEdge.data.color = bookmarkNode.data.color;
-            incomingEdge.data.bookmarkName = bookmarkNode.data.bookmarkName;
-            incomingEdge.data.highlightThickness = currentHighlightThickness;
-
-            // Set the zIndex of the incomingEdge
-            incomingEdge.data.zIndex = currentZIndex;
-            currentNode.data.borderColor = incomingEdge.data.color;
-            currentZIndex++; // Increase the zIndex for the next edge in the path
-
-            currentHighlightThickness = Math.min(currentHighlightThickness + 0.1, 6);
-            currentNode = Object.values(rawData).find(entry =>
-                entry.group === 'nodes' && entry.data.id === incomingEdge.data.source,
-            );
-        } else {
-            currentNode = null;
+/**
+ * Builds the label of an edge from the parts chosen in the settings: the swipe number on swipe edges,
+ * the number of chat sessions passing through the edge, and the time between the two messages.
+ *
+ * @param {Object} ele - The Cytoscape edge.
+ * @returns {string} The label, or an empty string if there is nothing to show.
+ */
+function getEdgeLabel(ele) {
+    const settings = extension_settings.timeline;
+    const source = ele.source().data();
+    const target = ele.target().data();
+    let parts = [];
+    if (settings.edgeLabelSwipes && ele.data('isSwipe') && ele.data('swipeId') !== undefined) {
+        parts.push(`#${ele.data('swipeId') + 1}`);
+    }
+    if (settings.edgeLabelSessions && !target.isSwipe && target.chat_sessions) {
+        parts.push(`${target.chat_sessions.length} chat${target.chat_sessions.length === 1 ? '' : 's'}`);
+    }
+    if (settings.edgeLabelTime) {
+        const gap = parseSendDate(target.send_date) - parseSendDate(source.send_date);
+        // Unknown dates give NaN, which fails the comparison too
+        if (gap >= 0) {
+            parts.push(formatTimeGap(gap));
         }
     }
+    return parts.join(' · ');
 }
 
 /**
- * Sets up visual styles for nodes and edges based on provided node data and context settings.
- * This function prepares styles that are to be used with Cytoscape to visually represent a graph.
- * Depending on extension settings and context, different colors, shapes, and styles are applied to nodes and edges.
- * Additionally, paths from bookmarked nodes to the root are highlighted.
+ * Returns the colors the timeline is drawn with, taken either from the UI theme or from the extension settings.
  *
- * @param {Object} nodeData - Data structure representing the graph with nodes and edges.
- * @returns {Array} An array of style definitions suitable for use with Cytoscape.
+ * @returns {Object} The colors `charNodeColor`, `userNodeColor`, `edgeColor` and `bookmarkColor`.
  */
-export function setupStylesAndData(nodeData) {
-    const context = getContext();
-    let selected_group = context.groupId;
-    let group = context.groups.find(group => group.id === selected_group);
-    let this_chid = context.characterId;
-    const avatarImg = selected_group ? group?.avatar_url : getThumbnailUrl('avatar', characters[this_chid]['avatar']);
-
+function getTheme() {
     let theme = {};
     if (extension_settings.timeline.useChatColors) {
         theme.charNodeColor = power_user.main_text_color;
@@ -99,12 +88,53 @@ export function setupStylesAndData(nodeData) {
         theme.userNodeColor = extension_settings.timeline.userNodeColor;
         theme.bookmarkColor = extension_settings.timeline.bookmarkColor;
     }
+    return theme;
+}
 
-    Object.values(nodeData).forEach(entry => {
-        if (entry.group === 'nodes' && entry.data.isBookmark) {
-            highlightPathToRoot(nodeData, entry.data.id);
-        }
-    });
+/**
+ * Returns the options for picking bookmark path colors: the palette chosen in the settings, and the edge
+ * and modal background colors the paths have to stand out against.
+ *
+ * @returns {Object} The color options for `pickBookmarkColor`.
+ */
+export function getBookmarkColorOptions() {
+    return {
+        palette: BOOKMARK_PALETTES[extension_settings.timeline.bookmarkPalette] || BOOKMARK_PALETTES.default,
+        backgrounds: [getTheme().edgeColor, power_user.blur_tint_color],
+        minContrast: Number(extension_settings.timeline.bookmarkMinContrast),
+    };
+}
+
+/**
+ * Returns the avatar of a character or group, for the roots of the multi-tree view.
+ *
+ * @param {Object} owner - The character or group as `{ type, id, name }`, with the avatar file name or group ID as `id`.
+ * @returns {string} The avatar URL, or 'none' if there is no avatar.
+ */
+function getOwnerAvatarUrl(owner) {
+    if (owner.type === 'group') {
+        return getContext().groups.find(group => group.id === owner.id)?.avatar_url || 'none';
+    }
+    return getThumbnailUrl('avatar', owner.id);
+}
+
+/**
+ * Sets up visual styles for nodes and edges based on provided node data and context settings.
+ * This function prepares styles that are to be used with Cytoscape to visually represent a graph.
+ * Depending on extension settings and context, different colors, shapes, and styles are applied to nodes and edges.
+ * The paths from bookmarked nodes to the root are already marked in the node data when the graph is built.
+ *
+ * @param {Object} nodeData - Data structure representing the graph with nodes and edges.
+ * @returns {Array} An array of style definitions suitable for use with Cytoscape.
+ */
+export function setupStylesAndData(nodeData) {
+    const context = getContext();
+    let selected_group = context.groupId;
+    let group = context.groups.find(group => group.id === selected_group);
+    let this_chid = context.characterId;
+    const avatarImg = selected_group ? group?.avatar_url : getThumbnailUrl('avatar', characters[this_chid]['avatar']);
+
+    const theme = getTheme();
 
     const cytoscapeStyles = [
         {
@@ -125,6 +155,14 @@ export function setupStylesAndData(nodeData) {
                 'z-index': function (ele) {
                     return ele.data('zIndex') ? ele.data('zIndex') : 1;
                 },
+                'label': getEdgeLabel,
+                'font-size': EDGE_LABEL_FONT_SIZE,
+                'color': theme.charNodeColor,
+                'text-background-color': power_user.blur_tint_color,
+                'text-background-opacity': 0.7,
+                'text-background-padding': 1,
+                // Labels disappear when zoomed out below the threshold from the settings
+                'min-zoomed-font-size': EDGE_LABEL_FONT_SIZE * Number(extension_settings.timeline.edgeLabelMinZoom),
             },
         },
         {
@@ -177,6 +215,20 @@ export function setupStylesAndData(nodeData) {
             },
         },
 
+        {
+            // The roots of the multi-tree view, each with the avatar and name of its character or group
+            selector: 'node[treeOwner]',
+            style: {
+                'background-image': function (ele) {
+                    return extension_settings.timeline.avatarAsRoot ? getOwnerAvatarUrl(ele.data('treeOwner')) : 'none';
+                },
+                'label': 'data(treeLabel)',
+                'text-valign': 'bottom',
+                'text-margin-y': 4,
+                'font-size': 10,
+                'color': theme.charNodeColor,
+            },
+        },
         {
             selector: 'node[?is_system]',  // Select nodes with is_system property set to true
             style: {
@@ -200,6 +252,121 @@ export function setupStylesAndData(nodeData) {
                 'border-opacity': 1,
             },
         },
+        {
+            selector: 'node[?isSession]',
+            style: {
+                'shape': 'round-rectangle',
+                'label': 'data(sessionLabel)',
+                'text-wrap': 'wrap',
+                'text-valign': 'bottom',
+                'text-margin-y': 4,
+                'font-size': 10,
+                'color': theme.charNodeColor,
+            },
+        },
+        {
+            // Unbranched runs of messages folded in the compact mode, see tl_segments.js
+            selector: 'node[?isSegment]',
+            style: {
+                'shape': 'round-rectangle',
+                'width': 40,
+                'background-opacity': 0.5,
+                'border-width': 2,
+                'border-style': 'dotted',
+                'border-color': function (ele) {
+                    return ele.data('borderColor') || theme.edgeColor;
+                },
+                'label': 'data(segmentLabel)',
+                'text-wrap': 'wrap',
+                'text-valign': 'bottom',
+                'text-margin-y': 4,
+                'font-size': 9,
+                'color': theme.charNodeColor,
+            },
+        },
+        {
+            // The path of the active chat, see `markActiveChat`
+            selector: 'edge.active-path',
+            style: {
+                'width': function (ele) {
+                    return (ele.data('highlightThickness') ? ele.data('highlightThickness') : 3) + 3;
+                },
+                'line-opacity': 1,
+                'z-index': 10,
+            },
+        },
+        {
+            selector: 'node.active-path[?isSession]',
+            style: {
+                'border-width': 3,
+                'border-color': theme.userNodeColor,
+            },
+        },
+        {
+            // Nodes with a note of the user
+            selector: 'node.has-note',
+            style: {
+                'label': '\u270E',
+                'text-valign': 'top',
+                'text-halign': 'right',
+                'font-size': 12,
+                'color': theme.charNodeColor,
+            },
+        },
+        {
+            // The last message of the active chat
+            selector: 'node.current-message',
+            style: {
+                'label': 'You are here',
+                'text-valign': 'top',
+                'text-margin-y': -4,
+                'font-size': 10,
+                'font-weight': 'bold',
+                'color': theme.charNodeColor,
+                'text-background-color': power_user.blur_tint_color,
+                'text-background-opacity': 0.8,
+                'text-background-padding': 2,
+                'text-background-shape': 'roundrectangle',
+                'z-index': 10,
+            },
+        },
+        {
+            // Subtrees collapsed into their top node, see `applyCollapsedNodes`
+            selector: '.collapsed-hidden',
+            style: {
+                'display': 'none',
+            },
+        },
+        {
+            // The badge of a collapsed node, summarizing what it hides
+            selector: 'node.collapsed',
+            style: {
+                'label': function (ele) {
+                    return ele.scratch('_timeline')?.collapsedSummary || '';
+                },
+                'text-wrap': 'wrap',
+                'text-valign': 'bottom',
+                'text-margin-y': 4,
+                'font-size': 9,
+                'color': theme.charNodeColor,
+                'text-background-color': power_user.blur_tint_color,
+                'text-background-opacity': 0.8,
+                'text-background-padding': 2,
+                'text-background-shape': 'roundrectangle',
+                'border-width': 4,
+                'border-style': 'double',
+                'border-color': theme.charNodeColor,
+            },
+        },
+        {
+            // Focus ring of the node selected by clicking or with the arrow keys
+            selector: 'node:selected',
+            style: {
+                'overlay-color': theme.charNodeColor,
+                'overlay-padding': 6,
+                'overlay-opacity': 0.25,
+            },
+        },
         {
             selector: 'edge[?isSwipe]',
 
@@ -215,21 +382,25 @@ export function setupStylesAndData(nodeData) {
 }
 
 /**
- * Highlights specific elements (nodes or edges) in a Cytoscape graph based on a given selector string.
+ * Highlights specific elements (nodes or edges) in a Cytoscape graph based on a given selector string or collection.
  * Initially, all elements in the graph are dimmed. Based on the provided selector, matching nodes or edges are then
  * highlighted with a white underlay. If the selector pertains to an edge with a specific color, nodes with the same
- * border color are also highlighted.
+ * border color are also highlighted, limited by the same scope as the edges, e.g. `[treeIndex = 0]`.
  *
  * @param {Object} cy - The Cytoscape instance containing the graph elements.
- * @param {string} selector - A Cytoscape-compatible selector string used to determine which elements to highlight.
+ * @param {string|Object} selector - A Cytoscape-compatible selector string used to determine which elements to highlight,
+ *                                   or a collection of the elements to highlight.
  */
 export function highlightElements(cy, selector) {
     cy.elements().style({ 'opacity': 0.2 }); // Dim all nodes and edges
 
+    const isEdgeSelector = typeof selector === 'string' && selector.startsWith('edge');
+
     // If it's an edge selector
-    if (selector.startsWith('edge')) {
-        let colorValue = selector.match(/color="([^"]+)"/)[1]; // Extract the color from the selector
-        let nodeSelector = `node[borderColor="${colorValue}"]`; // Construct the node selector
+    if (isEdgeSelector) {
+        // Extract the color, and the scope that limits the selector, e.g. to one tree of the multi-tree view
+        let [, colorValue, scope] = selector.match(/color="([^"]+)"\](.*)$/);
+        let nodeSelector = `node[borderColor="${colorValue}"]${scope}`; // Construct the node selector
 
         // Style the associated nodes
         cy.elements(nodeSelector).style({
@@ -242,12 +413,13 @@ export function highlightElements(cy, selector) {
     }
 
     // For the initial selector (whether it's node or edge)
-    cy.elements(selector).style({
+    const elements = typeof selector === 'string' ? cy.elements(selector) : selector;
+    elements.style({
         'opacity': 1,
         'underlay-color': 'white',
-        'underlay-padding': selector.startsWith('edge') ? '2px' : '5px',
+        'underlay-padding': isEdgeSelector ? '2px' : '5px',
         'underlay-opacity': 0.5,
-        'underlay-shape': selector.startsWith('edge') ? '' : 'ellipse',
+        'underlay-shape': isEdgeSelector ? '' : 'ellipse',
 
     });
 }
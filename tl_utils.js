@@ -113,6 +113,7 @@ export function closeOpenDrawers() {
 /**
  * Close the modal with ID "myModal".
  * It ensures the modal is returned to its original position in the DOM when closed.
+ * A docked modal stays open, as it is meant to be used alongside the chat; only its close button closes it.
  */
 export function closeModal() {
     let modal = document.getElementById('myModal');
@@ -121,6 +122,9 @@ export function closeModal() {
         console.error('Modal not found!');
         return;
     }
+    if (modal.classList.contains('docked')) {
+        return;
+    }
 
     // Append the modal back to its original parent when closed
     document.querySelector('.timeline-view-settings_block').appendChild(modal);
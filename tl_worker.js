@@ -0,0 +1,18 @@
+// Web Worker that builds the timeline graph off the main thread. It keeps the chat trie of the current
+// timeline, so incremental updates only need to send the changed chat sessions.
+import { convertToCytoscapeElements, convertDetachedElements, updateChatSessions } from './tl_build.js';
+
+const handlers = {
+    build: convertToCytoscapeElements,
+    buildDetached: convertDetachedElements,
+    update: updateChatSessions,
+};
+
+self.onmessage = function (event) {
+    const { id, type, args } = event.data;
+    try {
+        self.postMessage({ id, result: handlers[type](...args) });
+    } catch (error) {
+        self.postMessage({ id, error: String(error) });
+    }
+};